@@ -2,19 +2,986 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { Octokit } from '@octokit/rest';
-import { format, addDays, parseISO, startOfMonth, endOfMonth, eachDayOfInterval, isSameDay, isSameMonth } from 'date-fns';
+import { format, parse, isValid, addDays, subDays, startOfDay, parseISO, startOfMonth, endOfMonth, endOfDay, eachDayOfInterval, isSameDay, isSameMonth, isWeekend, startOfWeek, endOfWeek, addWeeks, addMonths, differenceInCalendarDays, eachMonthOfInterval, subBusinessDays } from 'date-fns';
 import { createUIResource } from '@mcp-ui/server';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
 
-// GitHub configuration
+// Built-in defaults, overridable via environment variables or a config file
 const DEFAULT_ORG = 'squareup';
 const DEFAULT_PROJECT_NUMBER = 333;
 const DEFAULT_LABEL = 'area: devrel-opensource';
+const DEFAULT_DISPLAY_NAME = 'DevRel Open Source';
+const DEFAULT_LOOKBACK_DAYS = 90;
+
+// How long fetched project items are reused before hitting GitHub again
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+
+// Days ahead considered when factoring out-of-office time into workload
+const DEFAULT_AVAILABILITY_WINDOW_DAYS = 14;
+
+// Capacity model: points counted for items without an estimate, points a
+// person can take on per week, and the utilization percentages at which
+// workload stops being Light / Moderate. With one point per item these
+// reproduce the original "2 issues light, 4 issues moderate" split.
+const DEFAULT_ESTIMATE = 1;
+const DEFAULT_WEEKLY_CAPACITY = 3;
+const DEFAULT_WORKLOAD_THRESHOLDS = { light: 40, moderate: 75 };
+
+// Open items one person can have scheduled on the same day before it is flagged
+const DEFAULT_MAX_CONCURRENT_ITEMS = 3;
+
+// Share of an assignee recommendation score that comes from label history
+// (the rest comes from current load) when the task has labels
+const DEFAULT_SKILL_WEIGHT = 0.5;
+
+// Retries for rate-limited or failed GitHub requests. Backoff doubles from the
+// base delay unless GitHub says how long to wait; waits beyond the cap fail fast.
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_WAIT_SECONDS = 60;
+
+// HTTP transport (MCP_TRANSPORT=http) listens here unless configured otherwise
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PORT = 3000;
+
+// How often subscribed resources are re-fetched to look for changed items
+const DEFAULT_RESOURCE_REFRESH_SECONDS = 300;
+
+// GitHub search never returns more than this many results for one query
+const SEARCH_RESULT_LIMIT = 1000;
+
+// Issue timelines read per GraphQL request by get_daily_digest, and how many
+// pages of 100 events one timeline may take before the rest is left out
+const TIMELINE_BATCH_SIZE = 20;
+const MAX_TIMELINE_PAGES = 5;
+
+// Written next to recorded fixtures; its timestamp becomes "now" on replay
+const FIXTURE_RECORDING_FILE = 'recording.json';
+
+// Days of item snapshots kept for get_daily_digest. The last snapshot before
+// the cutoff is kept too, as the baseline for changes after it.
+const HISTORY_RETENTION_DAYS = 30;
+
+// Config files looked up (in order) when GITHUB_CALENDAR_CONFIG is not set
+const CONFIG_FILE_NAMES = [
+  'github-calendar.config.json',
+  'github-calendar.config.yaml',
+  'github-calendar.config.yml',
+];
+
+function readConfigFile() {
+  const explicitPath = process.env.GITHUB_CALENDAR_CONFIG;
+  const serverDir = path.dirname(fileURLToPath(import.meta.url));
+  const candidates = explicitPath
+    ? [path.resolve(explicitPath)]
+    : [process.cwd(), serverDir].flatMap((dir) => CONFIG_FILE_NAMES.map((name) => path.join(dir, name)));
+
+  const configPath = candidates.find((candidate) => existsSync(candidate));
+  if (!configPath) {
+    if (explicitPath) {
+      throw new Error(`Config file not found: ${explicitPath}`);
+    }
+    return {};
+  }
+
+  const raw = readFileSync(configPath, 'utf8');
+  const parsed = configPath.endsWith('.json') ? JSON.parse(raw) : parseYaml(raw);
+  console.error(`Loaded configuration from ${configPath}`);
+  return parsed || {};
+}
+
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// AVAILABILITY_CALENDARS is a comma-separated list of `path` or `login=path`
+function parseAvailabilityCalendars(value) {
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf('=');
+    return separator > 0
+      ? { login: entry.slice(0, separator).trim(), path: entry.slice(separator + 1).trim() }
+      : { path: entry };
+  });
+}
+
+// Explicit field mapping from FIELD_<ROLE> env vars or `fieldMapping` in the
+// config file. Values are exact field names or field ids.
+function loadFieldMapping(file) {
+  const mapping = {};
+  FIELD_ROLES.forEach((role) => {
+    const value = process.env[`FIELD_${role.toUpperCase()}`] || file.fieldMapping?.[role];
+    if (value) {
+      mapping[role] = String(value);
+    }
+  });
+  return mapping;
+}
+
+// Custom body date patterns: `{ role: 'start' | 'end', pattern, flags }` where
+// the first capture group holds the date text
+function loadBodyDatePatterns(file) {
+  return (file.bodyDatePatterns || []).map(({ role, pattern, flags = 'im' }) => {
+    if (role !== 'start' && role !== 'end') {
+      throw new Error(`Invalid bodyDatePatterns role "${role}" (expected "start" or "end")`);
+    }
+    return { role, regex: new RegExp(pattern, flags) };
+  });
+}
+
+// MEMBER_CAPACITY is a comma-separated list of `login:points`
+function parseMemberCapacity(value) {
+  return Object.fromEntries(value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [login, points] = entry.split(':');
+    return [login.trim(), Number(points)];
+  }));
+}
+
+// WORKLOAD_THRESHOLDS is `light,moderate`, e.g. "40,75"
+function loadWorkloadThresholds(env, file) {
+  const [light, moderate] = env.WORKLOAD_THRESHOLDS ? env.WORKLOAD_THRESHOLDS.split(',') : [];
+  return {
+    light: toNumber(light ?? file.workloadThresholds?.light, DEFAULT_WORKLOAD_THRESHOLDS.light),
+    moderate: toNumber(moderate ?? file.workloadThresholds?.moderate, DEFAULT_WORKLOAD_THRESHOLDS.moderate),
+  };
+}
+
+// Data source specs as written in DATA_SOURCES: "project", "project:org/123",
+// "project:123", "repository:owner/name" or "search:<GitHub search query>"
+function parseDataSourceSpec(spec) {
+  const separator = spec.indexOf(':');
+  const type = (separator === -1 ? spec : spec.slice(0, separator)).trim();
+  const value = separator === -1 ? '' : spec.slice(separator + 1).trim();
+
+  if (type === 'project') {
+    const [org, projectNumber] = value.includes('/') ? value.split('/') : [undefined, value];
+    return { type, org: org || undefined, projectNumber };
+  }
+  if (type === 'repository') return { type, repository: value };
+  if (type === 'search') return { type, query: value };
+  return { type };
+}
+
+// Resolve a data source entry (spec string or config object) to
+// { type, name, ... }. `name` is what events from the source are tagged with;
+// config objects may set their own.
+function normalizeDataSource(entry, defaults) {
+  const source = typeof entry === 'string' ? parseDataSourceSpec(entry) : entry;
+
+  switch (source.type) {
+    case 'project': {
+      const org = source.org || defaults.org;
+      const projectNumber = toNumber(source.projectNumber, defaults.projectNumber);
+      return { type: 'project', org, projectNumber, name: source.name || `${org} project #${projectNumber}` };
+    }
+    case 'repository': {
+      const [owner, repo] = String(source.repository || '').split('/');
+      if (!owner || !repo) {
+        throw new Error(`Repository data source needs "owner/name", got "${source.repository}"`);
+      }
+      return { type: 'repository', owner, repo, name: source.name || `${owner}/${repo}` };
+    }
+    case 'search':
+      if (!source.query) {
+        throw new Error('Search data source needs a query');
+      }
+      return { type: 'search', query: source.query, name: source.name || `search "${source.query}"` };
+    default:
+      throw new Error(`Invalid data source type "${source.type}" (expected "project", "repository" or "search")`);
+  }
+}
+
+// `projects` (PROJECTS=org/123,org/456) is shorthand for a list of project
+// data sources; an explicit dataSources list takes precedence over it
+function loadDataSources(env, file, defaults) {
+  const projects = env.PROJECTS
+    ? env.PROJECTS.split(',').map((ref) => ref.trim()).filter(Boolean)
+    : file.projects;
+  const projectSources = projects?.map((project) =>
+    typeof project === 'string' ? `project:${project}` : { ...project, type: 'project' }
+  );
+
+  const entries = env.DATA_SOURCES
+    ? env.DATA_SOURCES.split(';').map((spec) => spec.trim()).filter(Boolean)
+    : file.dataSources || projectSources || ['project'];
+  return entries.map((entry) => normalizeDataSource(entry, defaults));
+}
+
+// Merge built-in defaults, the optional config file and environment variables
+// (highest precedence) into the settings every tool and UI template reads.
+function loadConfig() {
+  const file = readConfigFile();
+  const env = process.env;
+  const org = env.DEFAULT_ORG || file.org || DEFAULT_ORG;
+  const projectNumber = toNumber(env.DEFAULT_PROJECT_NUMBER ?? file.projectNumber, DEFAULT_PROJECT_NUMBER);
+  const since = env.CALENDAR_SINCE || file.since || null;
+  if (since && !isValid(parseISO(String(since)))) {
+    throw new Error(`Invalid CALENDAR_SINCE "${since}"; expected an ISO date such as 2025-08-01`);
+  }
+
+  return {
+    org,
+    projectNumber,
+    dataSources: loadDataSources(env, file, { org, projectNumber }),
+    label: env.DEFAULT_LABEL ?? file.label ?? DEFAULT_LABEL,
+    displayName: env.CALENDAR_DISPLAY_NAME || file.displayName || DEFAULT_DISPLAY_NAME,
+    since: since && String(since),
+    lookbackDays: toNumber(env.LOOKBACK_DAYS ?? file.lookbackDays, DEFAULT_LOOKBACK_DAYS),
+    cacheTtlSeconds: toNumber(env.CACHE_TTL_SECONDS ?? file.cacheTtlSeconds, DEFAULT_CACHE_TTL_SECONDS),
+    availabilityCalendars: env.AVAILABILITY_CALENDARS
+      ? parseAvailabilityCalendars(env.AVAILABILITY_CALENDARS)
+      : (file.availabilityCalendars || []).map((entry) => (typeof entry === 'string' ? { path: entry } : entry)),
+    availabilityWindowDays: toNumber(env.AVAILABILITY_WINDOW_DAYS ?? file.availabilityWindowDays, DEFAULT_AVAILABILITY_WINDOW_DAYS),
+    fieldMapping: loadFieldMapping(file),
+    bodyDateParsers: env.BODY_DATE_PARSERS
+      ? env.BODY_DATE_PARSERS.split(',').map((name) => name.trim()).filter(Boolean)
+      : file.bodyDateParsers || Object.keys(BODY_DATE_PARSERS),
+    bodyDatePatterns: loadBodyDatePatterns(file),
+    defaultEstimate: toNumber(env.DEFAULT_ESTIMATE ?? file.defaultEstimate, DEFAULT_ESTIMATE),
+    weeklyCapacity: toNumber(env.WEEKLY_CAPACITY ?? file.weeklyCapacity, DEFAULT_WEEKLY_CAPACITY),
+    memberCapacity: env.MEMBER_CAPACITY ? parseMemberCapacity(env.MEMBER_CAPACITY) : file.memberCapacity || {},
+    workloadThresholds: loadWorkloadThresholds(env, file),
+    maxConcurrentItems: toNumber(env.MAX_CONCURRENT_ITEMS ?? file.maxConcurrentItems, DEFAULT_MAX_CONCURRENT_ITEMS),
+    maxRetries: toNumber(env.MAX_RETRIES ?? file.maxRetries, DEFAULT_MAX_RETRIES),
+    transport: env.MCP_TRANSPORT || file.transport || 'stdio',
+    httpHost: env.MCP_HTTP_HOST || file.httpHost || DEFAULT_HTTP_HOST,
+    httpPort: toNumber(env.MCP_HTTP_PORT ?? file.httpPort, DEFAULT_HTTP_PORT),
+    authToken: env.MCP_AUTH_TOKEN || file.authToken || null,
+    resourceRefreshSeconds: toNumber(env.RESOURCE_REFRESH_SECONDS ?? file.resourceRefreshSeconds, DEFAULT_RESOURCE_REFRESH_SECONDS),
+    fixtures: env.GITHUB_FIXTURES || file.fixtures || null,
+    recordFixtures: env.GITHUB_RECORD_FIXTURES || file.recordFixtures || null,
+    now: env.CALENDAR_NOW || file.now || null,
+    historyFile: env.CALENDAR_HISTORY_FILE || file.historyFile || null,
+    skillWeight: Math.min(Math.max(toNumber(env.SKILL_WEIGHT ?? file.skillWeight, DEFAULT_SKILL_WEIGHT), 0), 1),
+  };
+}
+
+// Projects v2 item types the calendar understands, and the event type each becomes
+const PROJECT_ITEM_TYPES = {
+  ISSUE: 'issue',
+  PULL_REQUEST: 'pull_request',
+  DRAFT_ISSUE: 'draft_issue',
+};
+const ITEM_TYPE_ICONS = { issue: '', pull_request: '🔀 ', draft_issue: '📝 ' };
+
+// Kinds of change reported by get_daily_digest, in display order
+const DIGEST_CHANGES = {
+  added: { label: 'New', icon: '🆕' },
+  closed: { label: 'Closed', icon: '✅' },
+  reopened: { label: 'Reopened', icon: '🔄' },
+  rescheduled: { label: 'Dates changed', icon: '📅' },
+  reassigned: { label: 'Reassigned', icon: '👤' },
+  moved: { label: 'Status moved', icon: '➡️' },
+};
+
+// Issue timeline events read for the daily digest, by GraphQL type name
+const TIMELINE_EVENT_TYPES = {
+  AssignedEvent: 'assigned',
+  UnassignedEvent: 'unassigned',
+  ClosedEvent: 'closed',
+  ReopenedEvent: 'reopened',
+};
+
+// Shared schema for tools that can read a different set of projects
+const PROJECTS_PROPERTY = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Projects to read instead of the configured data sources, as "org/number" or "number" (default org)',
+};
+
+// Prompt arguments are plain strings, so projects are given comma-separated
+const PROJECTS_PROMPT_ARGUMENT = {
+  name: 'projects',
+  description: 'Comma-separated projects to read instead of the configured data sources, as "org/number" or "number"',
+  required: false,
+};
+
+// Shared schema for tools that can include or exclude kinds of project item
+const TYPES_PROPERTY = {
+  type: 'array',
+  items: { type: 'string', enum: Object.values(PROJECT_ITEM_TYPES) },
+  description: 'Kinds of item to include: issue, pull_request, draft_issue (default: all)',
+};
+
+// Shared input schema for tools that read project data
+const REFRESH_PROPERTY = {
+  type: 'boolean',
+  description: 'Bypass the cache and re-fetch project items from GitHub (default: false)',
+  default: false,
+};
+
+// Tool results always carry the structured result described by the tool's
+// outputSchema; `format` only decides what goes in the content blocks
+const RESULT_FORMATS = ['markdown', 'json', 'both'];
+const FORMAT_PROPERTY = {
+  type: 'string',
+  enum: RESULT_FORMATS,
+  description: 'Content blocks to return next to the structured result. markdown: text and HTML UI; json: the structured result as JSON text; both: text, HTML UI and JSON text (default: markdown)',
+  default: 'markdown',
+};
+
+// Numeric tool arguments; all are whole numbers of at least 1
+const INTEGER_ARGUMENTS = ['days', 'issueNumber', 'limit', 'project', 'concurrencyLimit', 'periods', 'rollingWindow'];
+
+// Ways get_timeline can group its rows
+const TIMELINE_GROUPS = ['assignee', 'status', 'project'];
+
+// Building blocks for tool output schemas. Day dates are yyyy-MM-dd strings.
+const DATE_SCHEMA = { type: 'string', format: 'date' };
+const NULLABLE_DATE_SCHEMA = { type: ['string', 'null'], format: 'date' };
+const ITEM_REF_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'Issue or pull request number, or the project item id of a draft issue' },
+    title: { type: 'string' },
+    url: { type: 'string' },
+  },
+  required: ['id', 'title', 'url'],
+};
+const EVENT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...ITEM_REF_SCHEMA.properties,
+    type: { type: 'string', enum: Object.values(PROJECT_ITEM_TYPES) },
+    status: { type: 'string', enum: ['open', 'closed'] },
+    projectStatus: { type: ['string', 'null'], description: 'Value of the project status field' },
+    pullRequestStatus: { type: ['string', 'null'], description: 'Review state for pull requests, e.g. "review requested"' },
+    startDate: DATE_SCHEMA,
+    endDate: NULLABLE_DATE_SCHEMA,
+    overdue: { type: 'boolean' },
+    assignees: { type: 'array', items: { type: 'string' } },
+    labels: { type: 'array', items: { type: 'string' } },
+    estimate: { type: ['number', 'null'] },
+    priority: { type: ['string', 'null'] },
+    iteration: { type: ['string', 'null'] },
+    source: { type: 'string', description: 'Name of the data source the item came from' },
+  },
+  required: ['id', 'title', 'url', 'type', 'status', 'startDate', 'endDate', 'overdue', 'assignees', 'labels', 'source'],
+};
+const MEMBER_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    login: { type: 'string' },
+    activeIssues: { type: 'number' },
+    upcomingIssues: { type: 'number' },
+    overdueIssues: { type: 'number' },
+    unestimatedIssues: { type: 'number' },
+    workload: { type: 'number', description: 'Points of open work' },
+    capacity: { type: 'number', description: 'Points available over the availability window' },
+    weeklyCapacity: { type: 'number' },
+    utilization: { type: ['number', 'null'], description: 'Workload as a percentage of capacity; null without capacity' },
+    workloadLevel: { type: 'string', enum: ['Light', 'Moderate', 'Heavy', 'Unavailable'] },
+    availability: { type: 'number', description: 'Percentage of working days available in the window' },
+    unavailableDays: { type: 'number' },
+  },
+  required: ['login', 'activeIssues', 'upcomingIssues', 'overdueIssues', 'workload', 'capacity', 'utilization', 'workloadLevel', 'availability'],
+};
+const CONFLICT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['overload', 'invalidRange', 'unavailable'] },
+    severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+    login: { type: ['string', 'null'] },
+    start: DATE_SCHEMA,
+    end: DATE_SCHEMA,
+    message: { type: 'string' },
+    items: { type: 'array', items: ITEM_REF_SCHEMA },
+  },
+  required: ['type', 'severity', 'login', 'start', 'end', 'message', 'items'],
+};
+
+// Output schema of a tool: its result properties plus any partial-data warnings
+function toolOutputSchema(properties) {
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      warnings: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Present when some data could not be fetched and results may be missing items',
+      },
+    },
+    required: Object.keys(properties),
+  };
+}
+
+// In-process cache for fetched project items with a TTL. Concurrent requests
+// for the same key share a single in-flight fetch instead of crawling twice.
+class ProjectItemCache {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  async get(key, loader, { refresh = false } = {}) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return pending;
+    }
+
+    const entry = this.entries.get(key);
+    if (!refresh && entry && Date.now() - entry.fetchedAt < this.ttlMs) {
+      return entry.value;
+    }
+
+    const request = (async () => {
+      try {
+        const value = await loader();
+        // Incomplete results are served once but not kept, so the next call retries
+        if (!value.incomplete) {
+          this.entries.set(key, { value, fetchedAt: Date.now() });
+        }
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  invalidate(key) {
+    if (key) {
+      this.entries.delete(key);
+    } else {
+      this.entries.clear();
+    }
+  }
+}
+
+// JSON with object keys sorted, so equal requests always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// GitHub responses saved to (record) or served from (replay) a directory, one
+// JSON file per distinct request. Files are named after the route plus a hash
+// of the method, route and parameters, so REST and GraphQL calls share a format.
+class FixtureStore {
+  constructor(directory, mode) {
+    this.directory = path.resolve(directory);
+    this.mode = mode;
+
+    if (mode === 'record') {
+      mkdirSync(this.directory, { recursive: true });
+    } else if (!existsSync(this.directory)) {
+      throw new Error(`Fixture directory not found: ${this.directory}`);
+    }
+  }
+
+  saveRecordedAt(date) {
+    writeFileSync(path.join(this.directory, FIXTURE_RECORDING_FILE), `${JSON.stringify({ recordedAt: date.toISOString() }, null, 2)}\n`);
+  }
+
+  // The "now" the fixtures were recorded at, or null if unknown
+  recordedAt() {
+    const file = path.join(this.directory, FIXTURE_RECORDING_FILE);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')).recordedAt : null;
+  }
+
+  // The parts of an Octokit request that identify it; auth and other headers
+  // are left out. GraphQL whitespace is collapsed so reindenting a query
+  // does not orphan its fixtures.
+  describeRequest(options) {
+    const { method, url, baseUrl, headers, request, mediaType, ...params } = options;
+    if (typeof params.query === 'string') {
+      params.query = params.query.replace(/\s+/g, ' ').trim();
+    }
+    return { method, url, params };
+  }
+
+  fileFor(described) {
+    const hash = createHash('sha256').update(stableStringify(described)).digest('hex').slice(0, 16);
+    const route = described.url.replace(/[{}]/g, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+    return path.join(this.directory, `${described.method.toLowerCase()}-${route}-${hash}.json`);
+  }
+
+  // Octokit request hook: record or replay depending on the mode
+  async handle(request, options) {
+    return this.mode === 'record' ? this.record(request, options) : this.replay(options);
+  }
+
+  // Send the request and save what came back, including error responses
+  async record(request, options) {
+    const described = this.describeRequest(options);
+    const save = (response, error) => {
+      const fixture = { request: described, status: response.status, headers: response.headers, data: response.data };
+      if (error) fixture.error = error.message;
+      writeFileSync(this.fileFor(described), `${JSON.stringify(fixture, null, 2)}\n`);
+    };
+
+    try {
+      const response = await request(options);
+      save(response);
+      return response;
+    } catch (error) {
+      // Network failures have no response worth replaying
+      if (error.response) save(error.response, error);
+      throw error;
+    }
+  }
+
+  // Serve the saved response; recorded error responses are thrown again
+  async replay(options) {
+    const described = this.describeRequest(options);
+    const file = this.fileFor(described);
+    if (!existsSync(file)) {
+      throw new Error(`No fixture for ${described.method} ${described.url} (expected ${path.basename(file)}); record one with GITHUB_RECORD_FIXTURES`);
+    }
+
+    const fixture = JSON.parse(readFileSync(file, 'utf8'));
+    const response = { status: fixture.status, url: described.url, headers: fixture.headers || {}, data: fixture.data };
+    if (fixture.error) {
+      throw Object.assign(new Error(fixture.error), { status: fixture.status, response });
+    }
+    return response;
+  }
+}
+
+// Snapshots of each item's dates, assignees and status, appended whenever an
+// item is read in a different state than last time. GitHub keeps no history
+// of project field edits, so this is what date changes and project status
+// moves are reported from (and, for drafts, reassignments). Kept in memory, or
+// in a JSON file when one is configured so it survives restarts.
+class ItemHistory {
+  constructor(file, retentionDays) {
+    this.file = file ? path.resolve(file) : null;
+    this.retentionDays = retentionDays;
+    this.data = { trackedSince: null, items: {} };
+
+    if (this.file && existsSync(this.file)) {
+      // Like a failed save, an unreadable file only costs history
+      try {
+        const data = JSON.parse(readFileSync(this.file, 'utf8'));
+        if (!data || typeof data.items !== 'object' || Array.isArray(data.items)) {
+          throw new Error('not an item history file');
+        }
+        this.data = data;
+      } catch (error) {
+        console.error(`Ignoring item history in ${this.file}, starting empty:`, error);
+      }
+    }
+  }
+
+  // Record the current state of each item, given as [key, state] pairs
+  record(entries, at) {
+    const timestamp = at.toISOString();
+    let changed = false;
+    if (!this.data.trackedSince) {
+      this.data.trackedSince = timestamp;
+      changed = true;
+    }
+
+    entries.forEach(([key, state]) => {
+      const snapshots = this.data.items[key] || (this.data.items[key] = []);
+      const latest = snapshots[snapshots.length - 1];
+      if (latest && stableStringify(latest.state) === stableStringify(state)) return;
+      snapshots.push({ at: timestamp, state });
+      changed = true;
+    });
+
+    if (changed) {
+      this.prune(at);
+      this.save();
+    }
+  }
+
+  // Drop snapshots older than the retention window, keeping each item's last
+  // one before the cutoff since it still describes the item at the cutoff
+  prune(at) {
+    const cutoff = subDays(at, this.retentionDays).toISOString();
+    Object.values(this.data.items).forEach((snapshots) => {
+      const baseline = snapshots.filter((snapshot) => snapshot.at <= cutoff).length - 1;
+      if (baseline > 0) snapshots.splice(0, baseline);
+    });
+    if (this.data.trackedSince < cutoff) {
+      this.data.trackedSince = cutoff;
+    }
+  }
+
+  // State of an item as last seen at or before `date`, or null if it was not seen by then
+  stateAt(key, date) {
+    const timestamp = date.toISOString();
+    const snapshot = (this.data.items[key] || []).filter((entry) => entry.at <= timestamp).pop();
+    return snapshot ? snapshot.state : null;
+  }
+
+  // When tracking started (or the retention cutoff), or null before the first record
+  trackedSince() {
+    return this.data.trackedSince ? new Date(this.data.trackedSince) : null;
+  }
+
+  // A failed write only costs history, so it is logged rather than failing the tool call
+  save() {
+    if (!this.file) return;
+    try {
+      mkdirSync(path.dirname(this.file), { recursive: true });
+      writeFileSync(this.file, `${JSON.stringify(this.data)}\n`);
+    } catch (error) {
+      console.error(`Failed to save item history to ${this.file}:`, error);
+    }
+  }
+}
+
+// Event properties that project fields can be mapped onto
+const FIELD_ROLES = ['start', 'end', 'status', 'estimate', 'priority', 'iteration'];
+
+// Fallback for roles without an explicit mapping: guess from the field name
+function guessFieldRole(fieldName) {
+  const name = fieldName.toLowerCase();
+  if (name.includes('start')) return 'start';
+  if (name.includes('end') || name.includes('due')) return 'end';
+  if (name.includes('status') || name.includes('state') || name.includes('progress')) return 'status';
+  if (name.includes('estimate') || name.includes('points') || name.includes('size')) return 'estimate';
+  if (name.includes('priority')) return 'priority';
+  if (name.includes('iteration') || name.includes('sprint')) return 'iteration';
+  return null;
+}
+
+// Date formats accepted in issue bodies besides ISO 8601 ("Oct 14", "10/14/2025", ...)
+const LOOSE_DATE_FORMATS = [
+  'MMM d, yyyy', 'MMMM d, yyyy', 'MMM d yyyy', 'MMMM d yyyy',
+  'd MMM yyyy', 'd MMMM yyyy', 'M/d/yyyy', 'MMM d', 'MMMM d',
+];
+
+// Parse a date written by a human. Dates without a year take the reference date's year.
+function parseLooseDate(text, referenceDate) {
+  const value = String(text).trim().replace(/(\d)(st|nd|rd|th)\b/i, '$1').replace(/\.$/, '');
+  if (!value) return null;
+
+  const iso = parseISO(value);
+  if (isValid(iso)) return iso;
+
+  for (const dateFormat of LOOSE_DATE_FORMATS) {
+    const parsed = parse(value, dateFormat, referenceDate);
+    if (isValid(parsed)) return parsed;
+  }
+  return null;
+}
+
+const START_KEY = /^start(?:[ _-]?(?:date|on))?$/i;
+const END_KEY = /^(?:end|due|deadline|target)(?:[ _-]?(?:date|on|by))?$/i;
+
+function roleForKey(key) {
+  const normalized = key.trim().replace(/[*_:]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (START_KEY.test(normalized)) return 'start';
+  if (END_KEY.test(normalized)) return 'end';
+  return null;
+}
+
+// Built-in body date parsers, tried in order. Each returns the raw date text
+// it found for `start` and/or `end`.
+const BODY_DATE_PARSERS = {
+  // "**Start Date:** Monday (2025-10-14)" from the original issue template
+  template(body) {
+    return {
+      start: body.match(/\*\*Start Date:\*\*.*?\(([^)]+)\)/)?.[1],
+      end: body.match(/\*\*End Date:\*\*.*?\(([^)]+)\)/)?.[1],
+    };
+  },
+
+  // YAML front matter at the top of the body
+  frontMatter(body) {
+    const match = body.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    if (!match) return {};
+
+    let data;
+    try {
+      data = parseYaml(match[1]);
+    } catch {
+      return {};
+    }
+    if (!data || typeof data !== 'object') return {};
+
+    const found = {};
+    Object.entries(data).forEach(([key, value]) => {
+      const role = roleForKey(key.replace(/([a-z])([A-Z])/g, '$1 $2'));
+      if (role && value && !found[role]) {
+        found[role] = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+      }
+    });
+    return found;
+  },
+
+  // GitHub issue forms render each field as "### Start date" followed by its value
+  issueForm(body) {
+    const found = {};
+    for (const match of body.matchAll(/^#{2,4}\s+(.+?)\s*\r?\n\s*\r?\n?([^\r\n#][^\r\n]*)/gm)) {
+      const role = roleForKey(match[1]);
+      const value = match[2].trim();
+      if (role && !found[role] && value !== '_No response_') {
+        found[role] = value;
+      }
+    }
+    return found;
+  },
+
+  // "Due: Oct 14", "Start date - 2025-10-14"
+  labeled(body) {
+    const found = {};
+    for (const match of body.matchAll(/^[\s>*-]*(?:\*\*)?([A-Za-z][A-Za-z _]{1,20}?)(?:\*\*)?\s*[:\-–]\s*(?:\*\*)?\s*([^\r\n]+)$/gm)) {
+      const role = roleForKey(match[1]);
+      if (role && !found[role]) {
+        found[role] = match[2].replace(/\*\*/g, '').trim();
+      }
+    }
+    return found;
+  },
+
+  // A plain ISO range such as "2025-10-14 → 2025-10-20" or "2025-10-14 to 2025-10-20"
+  isoRange(body) {
+    const match = body.match(/(\d{4}-\d{2}-\d{2})\s*(?:→|->|–|—|to|until)\s*(\d{4}-\d{2}-\d{2})/);
+    return match ? { start: match[1], end: match[2] } : {};
+  },
+};
+
+// Human-readable names for an event's `dateSource` values
+const DATE_SOURCE_LABELS = {
+  projectField: 'project field',
+  body: 'issue body',
+  milestone: 'milestone',
+  createdAt: 'creation date',
+};
+
+// HTML helpers for the UI templates. Anything that did not come from this file
+// (titles, logins, labels, URLs, config values, tool arguments) goes through one
+// of these before it is interpolated.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text content and quoted attribute values
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// href/src values: only absolute http(s) URLs survive, so javascript: and
+// data: URLs cannot be smuggled in through issue or avatar URLs
+function safeUrl(value) {
+  try {
+    const url = new URL(String(value));
+    if (url.protocol === 'https:' || url.protocol === 'http:') {
+      return escapeHtml(url.href);
+    }
+  } catch {
+    // Not an absolute URL
+  }
+  return '';
+}
+
+// A value passed to a function in an inline event handler, e.g. onclick="navigate(${jsArg(params)})"
+function jsArg(value) {
+  return escapeHtml(JSON.stringify(value ?? null));
+}
+
+// A value embedded in a <script> block; "<" is escaped so data cannot close the script
+function scriptValue(value) {
+  return JSON.stringify(value ?? null)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Content-Security-Policy for every generated document: inline styles and
+// scripts (the templates use both) but no external scripts, no network access
+// and images only from https (avatars)
+const UI_CONTENT_SECURITY_POLICY = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; img-src https:; base-uri 'none'; form-action 'none'";
+
+// RFC 5545 helpers for the iCalendar export
+function escapeICalText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldICalLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function formatICalDate(date) {
+  return format(date, 'yyyyMMdd');
+}
+
+function formatICalTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Parse a DATE or DATE-TIME value. Floating times are read as local time.
+function parseICalDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return {
+    date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts),
+    allDay: match[4] === undefined,
+  };
+}
+
+// Minimal VEVENT reader for availability overlays. Recurrence rules are not
+// expanded; each VEVENT covers the days from DTSTART up to its (exclusive) DTEND.
+function parseICalendar(text) {
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start) {
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART' || name === 'DTEND') {
+      const parsed = parseICalDate(value);
+      if (parsed) {
+        current[name === 'DTSTART' ? 'start' : 'end'] = parsed;
+      }
+    } else if (name === 'SUMMARY' || name === 'DESCRIPTION') {
+      current[name.toLowerCase()] = value
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+    }
+  }
+
+  return events.map((event) => {
+    const start = startOfDay(event.start.date);
+    let lastDay = start;
+    if (event.end) {
+      // DTEND is exclusive: an all-day event ending on the 5th covers up to the 4th
+      const exclusiveEnd = event.end.allDay ? event.end.date : new Date(event.end.date.getTime() - 1);
+      lastDay = startOfDay(event.end.allDay ? subDays(exclusiveEnd, 1) : exclusiveEnd);
+    }
+    return {
+      summary: event.summary || 'Unavailable',
+      description: event.description || '',
+      start,
+      end: lastDay < start ? start : lastDay,
+    };
+  });
+}
 
 class GitHubCalendarMCPServer {
   constructor() {
-    this.server = new Server(
+    this.config = loadConfig();
+
+    // Initialize GitHub API client
+    this.octokit = new Octokit({
+      auth: process.env.GITHUB_TOKEN,
+    });
+
+    // Optionally record GitHub responses to fixture files, or replay them
+    // offline. Registered first so it sits innermost, below the retries.
+    this.fixtures = this.createFixtureStore();
+    if (this.fixtures) {
+      this.octokit.hook.wrap('request', (request, options) => this.fixtures.handle(request, options));
+    }
+
+    // A fixed "now" keeps overdue, upcoming and default ranges reproducible.
+    // Replayed fixtures default to the moment they were recorded.
+    const now = this.config.now || (this.fixtures?.mode === 'replay' ? this.fixtures.recordedAt() : null);
+    this.fixedNow = now ? parseISO(now) : null;
+    if (this.fixedNow && !isValid(this.fixedNow)) {
+      throw new Error(`Invalid CALENDAR_NOW "${now}"; expected an ISO date such as 2025-10-14 or 2025-10-14T09:00:00Z`);
+    }
+    if (this.fixtures?.mode === 'record') {
+      this.fixtures.saveRecordedAt(this.now());
+    }
+
+    // Every GitHub request (REST and GraphQL) is retried on rate limits and
+    // server errors, and its rate limit headers are recorded for get_api_status
+    this.apiStats = { requests: 0, retries: 0, graphqlCost: 0, lastGraphqlCost: null, rateLimits: {} };
+    this.octokit.hook.wrap('request', (request, options) => this.requestWithRetry(request, options));
+
+    // Per-call context; collects data warnings such as truncated pagination
+    this.requestContext = new AsyncLocalStorage();
+
+    // Cache project items so chained tool calls don't re-crawl the project
+    this.itemCache = new ProjectItemCache(this.config.cacheTtlSeconds * 1000);
+
+    // Item snapshots that get_daily_digest compares against
+    this.itemHistory = new ItemHistory(this.config.historyFile, HISTORY_RETENTION_DAYS);
+
+    // Resource subscriptions per MCP server (session), and the last content
+    // seen for each subscribed URI so a background refresh can spot changes
+    this.resourceSubscriptions = new Map();
+    this.resourceSnapshots = new Map();
+    this.resourceRefreshTimer = null;
+    this.resourceRefreshRunning = false;
+
+    // The stdio server; in HTTP mode each client session gets its own server
+    this.server = this.createServer();
+    this.sessions = new Map();
+  }
+
+  // An MCP server exposing the tools. All servers share this instance's
+  // config, GitHub client and cache, so sessions can run side by side.
+  createServer() {
+    const server = new Server(
       {
         name: 'github-calendar-mcp-server',
         version: '1.0.0',
@@ -22,22 +989,415 @@ class GitHubCalendarMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
         },
       }
     );
 
-    // Initialize GitHub API client
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
-    });
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
+  }
+
+  createFixtureStore() {
+    const { fixtures, recordFixtures } = this.config;
+    if (fixtures && recordFixtures) {
+      throw new Error('Set either GITHUB_FIXTURES (replay) or GITHUB_RECORD_FIXTURES (record), not both');
+    }
+    if (recordFixtures) return new FixtureStore(recordFixtures, 'record');
+    if (!fixtures) return null;
+
+    // Replayed responses never change, so retrying them only adds delay
+    this.config.maxRetries = 0;
+    return new FixtureStore(fixtures, 'replay');
+  }
+
+  // The current time, or the configured fixed "now"
+  now() {
+    return this.fixedNow ? new Date(this.fixedNow) : new Date();
+  }
+
+  // Send a GitHub request, retrying rate limits, server errors and network
+  // failures with exponential backoff
+  async requestWithRetry(request, options) {
+    for (let attempt = 0; ; attempt++) {
+      this.apiStats.requests++;
+      try {
+        const response = await request(options);
+        this.recordRateLimit(response.headers);
+        // GraphQL reports an exhausted quota in a 200 response
+        if (response.data?.errors?.some((error) => error.type === 'RATE_LIMITED')) {
+          throw Object.assign(new Error('GitHub GraphQL rate limit exceeded'), { status: 429, response });
+        }
+        return response;
+      } catch (error) {
+        this.recordRateLimit(error.response?.headers);
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) throw error;
+
+        this.apiStats.retries++;
+        console.error(`GitHub request ${options.method} ${options.url} failed (${error.status || error.message}); retry ${attempt + 1} in ${Math.ceil(delay / 1000)}s`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Milliseconds to wait before retrying, or null when the error is final.
+  // retry-after and an exhausted quota's reset time win over plain backoff.
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.config.maxRetries) return null;
+
+    const status = error.status;
+    const headers = error.response?.headers || {};
+    const rateLimited = status === 429 ||
+      (status === 403 && (headers['retry-after'] !== undefined || headers['x-ratelimit-remaining'] === '0'));
+    // Errors without a status never reached GitHub (network failures)
+    if (!rateLimited && status !== undefined && status < 500) return null;
+
+    let delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    if (headers['retry-after'] !== undefined) {
+      delay = Number(headers['retry-after']) * 1000;
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      delay = Number(headers['x-ratelimit-reset']) * 1000 - Date.now() + 1000;
+    }
+    return delay <= MAX_RETRY_WAIT_SECONDS * 1000 ? Math.max(delay, 0) : null;
+  }
 
-    this.setupToolHandlers();
+  recordRateLimit(headers) {
+    const resource = headers?.['x-ratelimit-resource'];
+    if (!resource) return;
+
+    this.apiStats.rateLimits[resource] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+    };
+  }
+
+  recordGraphQLCost(rateLimit) {
+    if (!rateLimit) return;
+    this.apiStats.graphqlCost += rateLimit.cost;
+    this.apiStats.lastGraphqlCost = { cost: rateLimit.cost, remaining: rateLimit.remaining, resetAt: new Date(rateLimit.resetAt) };
+  }
+
+  // Note a data problem (e.g. truncated pagination) for the current tool call
+  addDataWarning(message) {
+    const context = this.requestContext.getStore();
+    if (context && !context.warnings.includes(message)) {
+      context.warnings.push(message);
+    }
+  }
+
+  // Banner put in front of text built from partial data
+  formatDataWarnings(warnings) {
+    return `⚠️ **Partial data** — results below may be missing items:\n` +
+      warnings.map((warning) => `- ${warning}`).join('\n') + '\n\n';
+  }
+
+  // Fields read for every project item: its content (issue, pull request or
+  // draft) and field values. Shared by the board crawl and single-item lookups.
+  getProjectItemSelection() {
+    return `
+      id
+      type
+      content {
+        ... on Issue {
+          id
+          number
+          title
+          body
+          state
+          createdAt
+          updatedAt
+          closedAt
+          url
+          repository {
+            name
+            owner {
+              login
+            }
+          }
+          author {
+            login
+            avatarUrl
+          }
+          labels(first: 20) {
+            nodes {
+              id
+              name
+              color
+              description
+            }
+          }
+          assignees(first: 10) {
+            nodes {
+              login
+              avatarUrl
+            }
+          }
+          milestone {
+            title
+            description
+            dueOn
+          }
+        }
+        ... on PullRequest {
+          id
+          number
+          title
+          body
+          state
+          isDraft
+          reviewDecision
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          url
+          repository {
+            name
+            owner {
+              login
+            }
+          }
+          author {
+            login
+            avatarUrl
+          }
+          labels(first: 20) {
+            nodes {
+              id
+              name
+              color
+              description
+            }
+          }
+          assignees(first: 10) {
+            nodes {
+              login
+              avatarUrl
+            }
+          }
+          milestone {
+            title
+            description
+            dueOn
+          }
+          reviewRequests(first: 10) {
+            nodes {
+              requestedReviewer {
+                ... on User {
+                  login
+                }
+                ... on Team {
+                  name
+                }
+              }
+            }
+          }
+        }
+        ... on DraftIssue {
+          id
+          title
+          body
+          createdAt
+          updatedAt
+          creator {
+            login
+            avatarUrl
+          }
+          assignees(first: 10) {
+            nodes {
+              login
+              avatarUrl
+            }
+          }
+        }
+      }
+      fieldValues(first: 20) {
+        nodes {
+          ... on ProjectV2ItemFieldDateValue {
+            field {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+              }
+            }
+            date
+          }
+          ... on ProjectV2ItemFieldTextValue {
+            field {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+              }
+            }
+            text
+          }
+          ... on ProjectV2ItemFieldSingleSelectValue {
+            field {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+              }
+            }
+            name
+          }
+          ... on ProjectV2ItemFieldNumberValue {
+            field {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+              }
+            }
+            number
+          }
+          ... on ProjectV2ItemFieldIterationValue {
+            field {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+              }
+            }
+            title
+            startDate
+            duration
+          }
+        }
+      }
+    `;
+  }
+
+  // Board a looked-up project item belongs to
+  getProjectItemProjectSelection() {
+    return `
+      project {
+        number
+        owner {
+          ... on Organization {
+            login
+          }
+          ... on User {
+            login
+          }
+        }
+      }
+    `;
+  }
+
+  // A single project item by node id
+  getProjectItemByIdQuery() {
+    return `
+      query($itemId: ID!) {
+        node(id: $itemId) {
+          ... on ProjectV2Item {
+            ${this.getProjectItemSelection()}
+            ${this.getProjectItemProjectSelection()}
+          }
+        }
+      }
+    `;
+  }
+
+  // Every project item of one issue or pull request, across boards
+  getIssueProjectItemsQuery() {
+    const projectItems = `
+      projectItems(first: 20) {
+        nodes {
+          ${this.getProjectItemSelection()}
+          ${this.getProjectItemProjectSelection()}
+        }
+      }
+    `;
+    return `
+      query($owner: String!, $name: String!, $number: Int!) {
+        repository(owner: $owner, name: $name) {
+          issueOrPullRequest(number: $number) {
+            ... on Issue {
+              ${projectItems}
+            }
+            ... on PullRequest {
+              ${projectItems}
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  // Assignment, close and reopen events since a time of `count` issues and
+  // pull requests, aliased item0, item1, ... so one request reads a batch.
+  // $afterN continues item N's timeline from a previous page.
+  getIssueTimelineQuery(count) {
+    const timelineItems = (index) => `
+      timelineItems(since: $since, first: 100, after: $after${index}, itemTypes: [ASSIGNED_EVENT, UNASSIGNED_EVENT, CLOSED_EVENT, REOPENED_EVENT]) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          __typename
+          ... on AssignedEvent {
+            createdAt
+            assignee {
+              ... on Actor {
+                login
+              }
+            }
+          }
+          ... on UnassignedEvent {
+            createdAt
+            assignee {
+              ... on Actor {
+                login
+              }
+            }
+          }
+          ... on ClosedEvent {
+            createdAt
+          }
+          ... on ReopenedEvent {
+            createdAt
+          }
+        }
+      }
+    `;
+    const indexes = Array.from({ length: count }, (_, index) => index);
+    const variables = indexes.map((index) => `$owner${index}: String!, $name${index}: String!, $number${index}: Int!, $after${index}: String`);
+    const items = indexes.map((index) => `
+        item${index}: repository(owner: $owner${index}, name: $name${index}) {
+          issueOrPullRequest(number: $number${index}) {
+            ... on Issue {
+              ${timelineItems(index)}
+            }
+            ... on PullRequest {
+              ${timelineItems(index)}
+            }
+          }
+        }`);
+    return `
+      query($since: DateTime!, ${variables.join(', ')}) {
+        rateLimit {
+          cost
+          remaining
+          resetAt
+        }${items.join('')}
+      }
+    `;
   }
 
   // GitHub GraphQL query for Projects v2
   getProjectV2Query() {
     return `
       query($org: String!, $projectNumber: Int!, $cursor: String) {
+        rateLimit {
+          cost
+          remaining
+          resetAt
+        }
         organization(login: $org) {
           projectV2(number: $projectNumber) {
             id
@@ -48,82 +1408,42 @@ class GitHubCalendarMCPServer {
                 endCursor
               }
               nodes {
-                id
-                type
-                content {
-                  ... on Issue {
-                    id
-                    number
-                    title
-                    body
-                    state
-                    createdAt
-                    updatedAt
-                    closedAt
-                    url
-                    author {
-                      login
-                      avatarUrl
-                    }
-                    labels(first: 20) {
-                      nodes {
-                        id
-                        name
-                        color
-                        description
-                      }
-                    }
-                    assignees(first: 10) {
-                      nodes {
-                        login
-                        avatarUrl
-                      }
-                    }
-                    milestone {
-                      title
-                      description
-                      dueOn
-                    }
-                  }
+                ${this.getProjectItemSelection()}
+              }
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  // Start of the configured window: a fixed `since` date, or the rolling
+  // lookback truncated to midnight so the cache key stays stable all day
+  getDefaultSince() {
+    if (this.config.since) {
+      return parseISO(this.config.since);
+    }
+    return startOfDay(subDays(this.now(), this.config.lookbackDays));
+  }
+
+  // Project id and field definitions, used to map fields and resolve ids for writes
+  getProjectFieldsQuery() {
+    return `
+      query($org: String!, $projectNumber: Int!) {
+        organization(login: $org) {
+          projectV2(number: $projectNumber) {
+            id
+            title
+            fields(first: 50) {
+              nodes {
+                ... on ProjectV2FieldCommon {
+                  id
+                  name
+                  dataType
                 }
-                fieldValues(first: 20) {
-                  nodes {
-                    ... on ProjectV2ItemFieldDateValue {
-                      field {
-                        ... on ProjectV2FieldCommon {
-                          id
-                          name
-                        }
-                      }
-                      date
-                    }
-                    ... on ProjectV2ItemFieldTextValue {
-                      field {
-                        ... on ProjectV2FieldCommon {
-                          id
-                          name
-                        }
-                      }
-                      text
-                    }
-                    ... on ProjectV2ItemFieldSingleSelectValue {
-                      field {
-                        ... on ProjectV2FieldCommon {
-                          id
-                          name
-                        }
-                      }
-                      name
-                    }
-                    ... on ProjectV2ItemFieldNumberValue {
-                      field {
-                        ... on ProjectV2FieldCommon {
-                          id
-                          name
-                        }
-                      }
-                      number
-                    }
+                ... on ProjectV2SingleSelectField {
+                  options {
+                    name
                   }
                 }
               }
@@ -134,44 +1454,146 @@ class GitHubCalendarMCPServer {
     `;
   }
 
-  async fetchProjectItems(org = DEFAULT_ORG, projectNumber = DEFAULT_PROJECT_NUMBER, sinceDate) {
-    const since = sinceDate || new Date('2025-08-01');
+  getUpdateDateFieldMutation() {
+    return `
+      mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $date: Date!) {
+        updateProjectV2ItemFieldValue(
+          input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { date: $date } }
+        ) {
+          projectV2Item {
+            id
+          }
+        }
+      }
+    `;
+  }
+
+  async fetchProjectFields(org, projectNumber) {
+    const response = await this.octokit.graphql(this.getProjectFieldsQuery(), { org, projectNumber });
 
-    try {
-      console.error('Attempting to use GraphQL API for Projects v2...');
-      return await this.fetchProjectItemsGraphQL(org, projectNumber, since);
-    } catch (graphqlError) {
-      console.error('GraphQL API failed, falling back to Search API:', graphqlError);
-      return await this.fetchIssuesByLabel(org, since);
+    const project = response.organization.projectV2;
+    if (!project) {
+      throw new Error(`Project ${projectNumber} not found for organization ${org}`);
     }
+
+    return {
+      projectId: project.id,
+      title: project.title,
+      fields: project.fields.nodes.filter((field) => field.id),
+    };
+  }
+
+  async fetchProjectItems(org = this.config.org, projectNumber = this.config.projectNumber, sinceDate, { refresh = false } = {}) {
+    const since = sinceDate || this.getDefaultSince();
+    const cacheKey = `${org}/${projectNumber}/${since.toISOString()}`;
+
+    return this.itemCache.get(cacheKey, async () => {
+      try {
+        console.error('Attempting to use GraphQL API for Projects v2...');
+        return await this.fetchProjectItemsGraphQL(org, projectNumber, since);
+      } catch (graphqlError) {
+        if (!this.isProjectUnavailable(graphqlError)) throw graphqlError;
+
+        // Search results lack the project's fields, so they are marked
+        // incomplete: the caller warns about them and they are not cached
+        console.error('Project not available, falling back to Search API:', graphqlError.message);
+        const items = await this.fetchIssuesByLabel(org, since);
+        const fallback = `project not available (${graphqlError.message}); showing issues found by search instead, without project fields`;
+        items.incomplete = items.incomplete ? `${fallback}; ${items.incomplete}` : fallback;
+        return items;
+      }
+    }, { refresh });
+  }
+
+  // Whether a Projects v2 query failed because the project does not exist or
+  // this GitHub does not support Projects v2, rather than e.g. a network error
+  isProjectUnavailable(error) {
+    if (error.status === 404) return true;
+    return (error.errors || []).some((graphqlError) =>
+      (graphqlError.type === 'NOT_FOUND' && graphqlError.path?.includes('projectV2')) ||
+      graphqlError.extensions?.code === 'undefinedField'
+    );
+  }
+
+  // Load items from every data source in parallel and tag each with its
+  // source. An issue reachable from several sources is kept once, from the
+  // first source that lists it (project items carry field values).
+  async fetchItems({ sources = this.config.dataSources, since: sinceDate, refresh = false } = {}) {
+    const since = sinceDate || this.getDefaultSince();
+    const results = await Promise.all(sources.map((source) => this.fetchSourceItems(source, since, { refresh })));
+    results.forEach((items, index) => {
+      if (items.incomplete) {
+        this.addDataWarning(`${sources[index].name}: ${items.incomplete}`);
+      }
+    });
+
+    const seen = new Set();
+    return results.flatMap((items, index) => {
+      const { type, name } = sources[index];
+      return items
+        .filter((item) => {
+          // Drafts share the board URL, so they are told apart by item id
+          const key = item.content.type === 'draft_issue' ? item.id : item.content.html_url;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map((item) => ({ ...item, source: { type, name } }));
+    });
+  }
+
+  async fetchSourceItems(source, since, { refresh = false } = {}) {
+    if (source.type === 'project') {
+      return this.fetchProjectItems(source.org, source.projectNumber, since, { refresh });
+    }
+
+    const cacheKey = `${source.type}:${source.name}/${since.toISOString()}`;
+    return this.itemCache.get(cacheKey, () => {
+      if (source.type === 'repository') {
+        return this.fetchRepositoryIssues(source.owner, source.repo, since);
+      }
+      return this.searchIssues(`${source.query} created:>=${since.toISOString().split('T')[0]}`);
+    }, { refresh });
   }
 
   async fetchProjectItemsGraphQL(org, projectNumber, since) {
     const allItems = [];
     let cursor = null;
     let hasNextPage = true;
+    let pages = 0;
 
     while (hasNextPage) {
-      const response = await this.octokit.graphql(this.getProjectV2Query(), {
-        org,
-        projectNumber,
-        cursor,
-      });
+      let response;
+      try {
+        response = await this.octokit.graphql(this.getProjectV2Query(), {
+          org,
+          projectNumber,
+          cursor,
+        });
+      } catch (error) {
+        // Keep the pages already fetched; only a failed first page falls back to search
+        if (pages === 0) throw error;
+        allItems.incomplete = `pagination stopped at page ${pages + 1} (${error.message})`;
+        break;
+      }
+      pages++;
+      this.recordGraphQLCost(response.rateLimit);
 
-      const project = response.organization.projectV2;
+      const project = response.organization?.projectV2;
       if (!project) {
-        throw new Error(`Project ${projectNumber} not found for organization ${org}`);
+        throw Object.assign(new Error(`Project ${projectNumber} not found for organization ${org}`), { status: 404 });
       }
 
       const items = project.items.nodes;
 
       // Filter items based on date and label
       const filteredItems = items.filter((item) => {
-        if (!item.content || item.type !== 'ISSUE') return false;
+        if (!item.content || !PROJECT_ITEM_TYPES[item.type]) return false;
         
-        // Check if issue has the required label
-        const hasRequiredLabel = item.content.labels?.nodes?.some(
-          (label) => label.name === DEFAULT_LABEL
+        // Check if issue or PR has the required label (when one is configured).
+        // Drafts cannot carry labels, so every draft on the board is kept.
+        const hasRequiredLabel = !this.config.label || item.type === 'DRAFT_ISSUE' || item.content.labels?.nodes?.some(
+          (label) => label.name === this.config.label
         );
         
         if (!hasRequiredLabel) return false;
@@ -181,51 +1603,7 @@ class GitHubCalendarMCPServer {
         return createdAt >= since;
       });
 
-      // Transform GraphQL response to our format
-      const transformedItems = filteredItems.map((item) => ({
-        id: item.id,
-        content: {
-          id: item.content.id,
-          number: item.content.number,
-          title: item.content.title,
-          body: item.content.body || '',
-          state: item.content.state.toLowerCase(),
-          created_at: item.content.createdAt,
-          updated_at: item.content.updatedAt,
-          closed_at: item.content.closedAt,
-          html_url: item.content.url,
-          user: {
-            login: item.content.author?.login || '',
-            avatar_url: item.content.author?.avatarUrl || '',
-          },
-          labels: item.content.labels?.nodes?.map((label) => ({
-            id: label.id,
-            name: label.name,
-            color: label.color,
-            description: label.description,
-          })) || [],
-          assignees: item.content.assignees?.nodes?.map((assignee) => ({
-            login: assignee.login,
-            avatar_url: assignee.avatarUrl,
-          })) || [],
-          milestone: item.content.milestone ? {
-            title: item.content.milestone.title,
-            description: item.content.milestone.description,
-            due_on: item.content.milestone.dueOn,
-          } : null,
-        },
-        fieldValues: {
-          nodes: item.fieldValues.nodes.map((fieldValue) => ({
-            field: {
-              name: fieldValue.field?.name || '',
-            },
-            date: fieldValue.date || null,
-            text: fieldValue.text || null,
-            name: fieldValue.name || null,
-            number: fieldValue.number || null,
-          })),
-        },
-      }));
+      const transformedItems = filteredItems.map((item) => this.normalizeProjectItem(item, org, projectNumber));
 
       allItems.push(...transformedItems);
 
@@ -237,133 +1615,322 @@ class GitHubCalendarMCPServer {
     return allItems;
   }
 
-  // Fallback function to search issues by label directly
-  async fetchIssuesByLabel(org, since) {
-    const allItems = [];
-    let page = 1;
-    const perPage = 100;
-    let hasNextPage = true;
-
-    while (hasNextPage) {
-      try {
-        // Search for issues with the specific label in the organization
-        const { data: searchResult } = await this.octokit.rest.search.issuesAndPullRequests({
-          q: `org:${org} label:"${DEFAULT_LABEL}" type:issue created:>=${since.toISOString().split('T')[0]}`,
-          per_page: perPage,
-          page: page,
-        });
+  // Transform a GraphQL project item to our format. Drafts have no number,
+  // state or URL of their own, so they stay open and link to the project board.
+  normalizeProjectItem(item, org, projectNumber) {
+    return {
+      id: item.id,
+      content: {
+        id: item.content.id,
+        type: PROJECT_ITEM_TYPES[item.type],
+        number: item.content.number ?? null,
+        title: item.content.title,
+        body: item.content.body || '',
+        // Merged pull requests count as closed
+        state: item.content.state ? (item.content.state === 'MERGED' ? 'closed' : item.content.state.toLowerCase()) : 'open',
+        created_at: item.content.createdAt,
+        updated_at: item.content.updatedAt,
+        closed_at: item.content.closedAt || null,
+        html_url: item.content.url || `https://github.com/orgs/${org}/projects/${projectNumber}`,
+        repository: item.content.repository ? {
+          owner: item.content.repository.owner.login,
+          name: item.content.repository.name,
+        } : null,
+        user: {
+          login: (item.content.author || item.content.creator)?.login || '',
+          avatar_url: (item.content.author || item.content.creator)?.avatarUrl || '',
+        },
+        pull_request: item.type === 'PULL_REQUEST' ? {
+          draft: item.content.isDraft,
+          merged_at: item.content.mergedAt,
+          review_decision: item.content.reviewDecision,
+          requested_reviewers: item.content.reviewRequests?.nodes
+            ?.map((request) => request.requestedReviewer?.login || request.requestedReviewer?.name)
+            .filter(Boolean) || [],
+        } : null,
+        labels: item.content.labels?.nodes?.map((label) => ({
+          id: label.id,
+          name: label.name,
+          color: label.color,
+          description: label.description,
+        })) || [],
+        assignees: item.content.assignees?.nodes?.map((assignee) => ({
+          login: assignee.login,
+          avatar_url: assignee.avatarUrl,
+        })) || [],
+        milestone: item.content.milestone ? {
+          title: item.content.milestone.title,
+          description: item.content.milestone.description,
+          due_on: item.content.milestone.dueOn,
+        } : null,
+      },
+      fieldValues: {
+        nodes: item.fieldValues.nodes.map((fieldValue) => ({
+          field: {
+            id: fieldValue.field?.id || '',
+            name: fieldValue.field?.name || '',
+          },
+          date: fieldValue.date || null,
+          text: fieldValue.text || null,
+          name: fieldValue.name || null,
+          number: fieldValue.number ?? null,
+          title: fieldValue.title || null,
+          startDate: fieldValue.startDate || null,
+          duration: fieldValue.duration ?? null,
+        })),
+      },
+    };
+  }
+
+  // Fallback function to search issues by label directly
+  async fetchIssuesByLabel(org, since) {
+    const labelQualifier = this.config.label ? ` label:"${this.config.label}"` : '';
+    return this.searchIssues(`org:${org}${labelQualifier} type:issue created:>=${since.toISOString().split('T')[0]}`);
+  }
+
+  // Run a GitHub issue search, following pages until results run out
+  async searchIssues(query) {
+    const allItems = [];
+    let page = 1;
+    const perPage = 100;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      try {
+        const { data: searchResult } = await this.octokit.rest.search.issuesAndPullRequests({
+          q: query,
+          per_page: perPage,
+          page: page,
+        });
+
+        if (searchResult.items.length === 0) {
+          hasNextPage = false;
+          break;
+        }
+
+        searchResult.items
+          .filter((issue) => !issue.pull_request)
+          .forEach((issue) => allItems.push(this.restIssueToItem(issue)));
+
+        if (searchResult.incomplete_results) {
+          allItems.incomplete = 'GitHub search timed out and returned incomplete results';
+        }
+
+        page++;
+        hasNextPage = searchResult.items.length === perPage;
+        if (hasNextPage && (page - 1) * perPage >= SEARCH_RESULT_LIMIT) {
+          allItems.incomplete = `search matched more than ${SEARCH_RESULT_LIMIT} issues; only the first ${SEARCH_RESULT_LIMIT} are included`;
+          break;
+        }
+      } catch (searchError) {
+        console.error('Error searching issues:', searchError);
+        allItems.incomplete = `search stopped at page ${page} (${searchError.message})`;
+        break;
+      }
+    }
+
+    return allItems;
+  }
+
+  // List a repository's issues created since `since`, skipping pull requests
+  async fetchRepositoryIssues(owner, repo, since) {
+    const allItems = [];
+    let page = 1;
+    const perPage = 100;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      // `since` filters on update time, which is never earlier than creation
+      let issues;
+      try {
+        ({ data: issues } = await this.octokit.rest.issues.listForRepo({
+          owner,
+          repo,
+          state: 'all',
+          labels: this.config.label || undefined,
+          since: since.toISOString(),
+          per_page: perPage,
+          page,
+        }));
+      } catch (error) {
+        if (page === 1) throw error;
+        allItems.incomplete = `pagination stopped at page ${page} (${error.message})`;
+        break;
+      }
+
+      issues
+        .filter((issue) => !issue.pull_request && new Date(issue.created_at) >= since)
+        .forEach((issue) => allItems.push(this.restIssueToItem(issue)));
+
+      page++;
+      hasNextPage = issues.length === perPage;
+    }
+
+    return allItems;
+  }
+
+  // Shape a REST issue like a project item without field values
+  restIssueToItem(issue) {
+    return {
+      id: issue.id.toString(),
+      content: {
+        id: issue.id,
+        type: 'issue',
+        number: issue.number,
+        title: issue.title,
+        body: issue.body || '',
+        state: issue.state,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        closed_at: issue.closed_at,
+        html_url: issue.html_url,
+        repository: this.parseRepositoryUrl(issue.repository_url),
+        user: {
+          login: issue.user?.login || '',
+          avatar_url: issue.user?.avatar_url || '',
+        },
+        labels: issue.labels.map((label) => ({
+          id: label.id,
+          name: label.name,
+          color: label.color,
+          description: label.description,
+        })),
+        assignees: issue.assignees?.map((assignee) => ({
+          login: assignee.login,
+          avatar_url: assignee.avatar_url,
+        })) || [],
+        milestone: issue.milestone ? {
+          title: issue.milestone.title,
+          description: issue.milestone.description,
+          due_on: issue.milestone.due_on,
+        } : null,
+      },
+      fieldValues: {
+        nodes: [],
+      },
+    };
+  }
+
+  // Role a project field plays for calendar events. Fields named in the
+  // configured mapping (exact name or id) win; roles without a mapping fall
+  // back to guessing from the field name.
+  resolveFieldRole(field) {
+    const mapping = this.config.fieldMapping;
+    const mapped = FIELD_ROLES.find((role) =>
+      mapping[role] && (mapping[role] === field.id || mapping[role].toLowerCase() === field.name.toLowerCase())
+    );
+    if (mapped) return mapped;
 
-        if (searchResult.items.length === 0) {
-          hasNextPage = false;
-          break;
-        }
+    const guessed = guessFieldRole(field.name);
+    return guessed && !mapping[guessed] ? guessed : null;
+  }
 
-        for (const issue of searchResult.items) {
-          const projectItem = {
-            id: issue.id.toString(),
-            content: {
-              id: issue.id,
-              number: issue.number,
-              title: issue.title,
-              body: issue.body || '',
-              state: issue.state,
-              created_at: issue.created_at,
-              updated_at: issue.updated_at,
-              closed_at: issue.closed_at,
-              html_url: issue.html_url,
-              user: {
-                login: issue.user?.login || '',
-                avatar_url: issue.user?.avatar_url || '',
-              },
-              labels: issue.labels.map((label) => ({
-                id: label.id,
-                name: label.name,
-                color: label.color,
-                description: label.description,
-              })),
-              assignees: issue.assignees?.map((assignee) => ({
-                login: assignee.login,
-                avatar_url: assignee.avatar_url,
-              })) || [],
-              milestone: issue.milestone ? {
-                title: issue.milestone.title,
-                description: issue.milestone.description,
-                due_on: issue.milestone.due_on,
-              } : null,
-            },
-            fieldValues: {
-              nodes: [],
-            },
-          };
+  // Start/end dates written in an issue body. Configured patterns run first,
+  // then the enabled built-in parsers; the first one to find a role wins.
+  extractBodyDates(body, referenceDate) {
+    const parsers = [
+      ...this.config.bodyDatePatterns.map(({ role, regex }) => (text) => ({ [role]: text.match(regex)?.[1] })),
+      ...this.config.bodyDateParsers.map((name) => BODY_DATE_PARSERS[name]).filter(Boolean),
+    ];
 
-          allItems.push(projectItem);
+    const dates = {};
+    for (const parser of parsers) {
+      const found = parser(body);
+      ['start', 'end'].forEach((role) => {
+        if (!dates[role] && found[role]) {
+          dates[role] = parseLooseDate(found[role], referenceDate);
         }
-
-        page++;
-        hasNextPage = searchResult.items.length === perPage;
-      } catch (searchError) {
-        console.error('Error searching issues:', searchError);
-        break;
-      }
+      });
+      if (dates.start && dates.end) break;
     }
+    return dates;
+  }
 
-    return allItems;
+  // "https://api.github.com/repos/{owner}/{name}" -> { owner, name }
+  parseRepositoryUrl(repositoryUrl) {
+    const match = repositoryUrl?.match(/\/repos\/([^/]+)\/([^/]+)$/);
+    return match ? { owner: match[1], name: match[2] } : null;
   }
 
   transformToCalendarEvents(items) {
     return items.map((item) => {
       const issue = item.content;
       
-      // Extract start and end dates from field values
+      // Extract dates, status, estimate, priority and iteration from mapped field values
       let startDate = null;
       let endDate = null;
       let projectStatus = undefined;
+      let estimate = null;
+      let priority = null;
+      let iteration = null;
       
       item.fieldValues.nodes.forEach((fieldValue) => {
-        const fieldName = fieldValue.field.name.toLowerCase();
+        const role = this.resolveFieldRole(fieldValue.field);
         
-        if (fieldName.includes('start') && fieldValue.date) {
-          startDate = new Date(fieldValue.date);
-        } else if ((fieldName.includes('end') || fieldName.includes('due')) && fieldValue.date) {
-          endDate = new Date(fieldValue.date);
-        } else if ((fieldName.includes('status') || fieldName.includes('state') || fieldName.includes('progress')) && fieldValue.name) {
-          projectStatus = fieldValue.name;
+        // Date fields are calendar days (yyyy-MM-dd); parseISO reads them as
+        // local midnight, where new Date() would give UTC midnight
+        if (role === 'start' && fieldValue.date) {
+          startDate = parseISO(fieldValue.date);
+        } else if (role === 'end' && fieldValue.date) {
+          endDate = parseISO(fieldValue.date);
+        } else if (role === 'status' && (fieldValue.name || fieldValue.text)) {
+          projectStatus = fieldValue.name || fieldValue.text;
+        } else if (role === 'estimate' && fieldValue.number !== null) {
+          estimate = fieldValue.number;
+        } else if (role === 'priority' && (fieldValue.name || fieldValue.text || fieldValue.number !== null)) {
+          priority = fieldValue.name || fieldValue.text || String(fieldValue.number);
+        } else if (role === 'iteration' && fieldValue.startDate) {
+          const iterationStart = parseISO(fieldValue.startDate);
+          iteration = {
+            title: fieldValue.title,
+            startDate: iterationStart,
+            endDate: addDays(iterationStart, fieldValue.duration - 1),
+          };
         }
       });
 
+      // Record where each date came from so callers can judge how reliable it is
+      const dateSource = {
+        start: startDate ? 'projectField' : null,
+        end: endDate ? 'projectField' : null,
+      };
+
       // Try to extract dates from issue body if not found in field values
       if (!startDate || !endDate) {
-        const body = issue.body || '';
-        
-        // Look for date patterns in the issue body
-        const startDateMatch = body.match(/\*\*Start Date:\*\*.*?\(([^)]+)\)/);
-        const endDateMatch = body.match(/\*\*End Date:\*\*.*?\(([^)]+)\)/);
+        const bodyDates = this.extractBodyDates(issue.body || '', issue.created_at ? new Date(issue.created_at) : this.now());
         
-        if (startDateMatch && !startDate) {
-          startDate = new Date(startDateMatch[1]);
+        if (bodyDates.start && !startDate) {
+          startDate = bodyDates.start;
+          dateSource.start = 'body';
         }
         
-        if (endDateMatch && !endDate) {
-          endDate = new Date(endDateMatch[1]);
+        if (bodyDates.end && !endDate) {
+          endDate = bodyDates.end;
+          dateSource.end = 'body';
         }
       }
 
       // If no start date from fields or body, use created date
       if (!startDate) {
         startDate = new Date(issue.created_at);
+        dateSource.start = 'createdAt';
       }
 
-      // If issue has a milestone with due date, use that as end date
+      // If issue has a milestone with due date, use that as end date. GitHub
+      // stores the due day as a UTC timestamp, so keep its UTC calendar date.
       if (!endDate && issue.milestone?.due_on) {
-        endDate = new Date(issue.milestone.due_on);
+        endDate = parseISO(issue.milestone.due_on.slice(0, 10));
+        dateSource.end = 'milestone';
       }
 
       return {
-        id: `${issue.number}`,
+        id: issue.number !== null ? `${issue.number}` : item.id,
         title: issue.title,
         startDate,
         endDate,
+        dateSource,
         url: issue.html_url,
+        repository: issue.repository,
         labels: issue.labels.map((label) => ({
           name: label.name,
           color: `#${label.color}`,
@@ -374,60 +1941,913 @@ class GitHubCalendarMCPServer {
         })),
         status: issue.state,
         projectStatus,
-        type: 'issue',
+        estimate,
+        priority,
+        iteration,
+        createdAt: new Date(issue.created_at),
+        updatedAt: issue.updated_at ? new Date(issue.updated_at) : null,
+        closedAt: issue.closed_at ? new Date(issue.closed_at) : null,
+        source: item.source,
+        type: issue.type,
+        pullRequest: issue.pull_request ? {
+          status: this.getPullRequestStatus(issue),
+          reviewers: issue.pull_request.requested_reviewers,
+        } : null,
       };
     }).filter((event) => event.startDate); // Only include events with start dates
   }
 
-  async getCalendarEvents(org = DEFAULT_ORG, projectNumber = DEFAULT_PROJECT_NUMBER, sinceDate) {
-    const items = await this.fetchProjectItems(org, projectNumber, sinceDate);
-    return this.transformToCalendarEvents(items);
+  // Review state of a pull request, most decisive first
+  getPullRequestStatus(issue) {
+    const pr = issue.pull_request;
+    if (pr.merged_at) return 'merged';
+    if (issue.state === 'closed') return 'closed';
+    if (pr.draft) return 'draft';
+    if (pr.review_decision === 'CHANGES_REQUESTED') return 'changes requested';
+    if (pr.review_decision === 'APPROVED') return 'approved';
+    if (pr.requested_reviewers.length > 0) return 'review requested';
+    return 'open';
+  }
+
+  // Status as shown to people: "open", or "pull request, review requested"
+  describeStatus(event) {
+    if (event.type === 'pull_request') return `pull request, ${event.pullRequest.status}`;
+    if (event.type === 'draft_issue') return `draft issue, ${event.status}`;
+    return event.status;
+  }
+
+  // "#12 Title" for issues and pull requests; drafts have no number, only a
+  // project item id, so they are shown by title alone
+  formatEventLabel(event) {
+    return event.type === 'draft_issue' ? event.title : `#${event.id} ${event.title}`;
+  }
+
+  // A project reference ("org/123", "123" or { org, projectNumber }) as a data
+  // source, reusing the configured source (and its name) when there is one
+  resolveProjectSource(ref) {
+    const source = normalizeDataSource(
+      typeof ref === 'string' ? `project:${ref}` : { ...ref, type: 'project' },
+      this.config
+    );
+    return this.config.dataSources.find((configured) =>
+      configured.type === 'project' &&
+      configured.org.toLowerCase() === source.org.toLowerCase() &&
+      configured.projectNumber === source.projectNumber
+    ) || source;
+  }
+
+  // The configured data sources, or the given projects (or a single
+  // org/projectNumber) instead
+  resolveSources({ org, projectNumber, projects } = {}) {
+    if (projects?.length > 0) {
+      return projects.map((ref) => this.resolveProjectSource(ref));
+    }
+    if (org || projectNumber) {
+      return [this.resolveProjectSource({ org, projectNumber })];
+    }
+    return this.config.dataSources;
+  }
+
+  // Events from the configured data sources, or from the given projects (or a
+  // single org/projectNumber) instead. `types` limits the kinds of item returned.
+  async getCalendarEvents({ org, projectNumber, projects, since, types, refresh = false } = {}) {
+    const sources = this.resolveSources({ org, projectNumber, projects });
+    const items = await this.fetchItems({ sources, since, refresh });
+    const events = this.transformToCalendarEvents(items);
+    this.itemHistory.record(events.map((event) => [this.historyKey(event), this.toHistoryState(event)]), this.now());
+    return types ? events.filter((event) => types.includes(event.type)) : events;
+  }
+
+  // Locate a single project item for a write, by item id or by issue number
+  // in an "owner/name" repository, on one of the project boards being read.
+  // The item is looked up directly rather than through the cached board
+  // crawl, so items older than the lookback window can be found, and GraphQL
+  // failures surface instead of falling back to search results, which carry
+  // no project item id to write to.
+  async findProjectItem({ issueNumber, itemId, repository, projects }) {
+    const boards = this.resolveSources({ projects }).filter((source) => source.type === 'project');
+    if (boards.length === 0) {
+      throw new Error('No project board to write to; configure a project data source or pass projects');
+    }
+
+    let nodes;
+    if (itemId) {
+      const { node } = await this.octokit.graphql(this.getProjectItemByIdQuery(), { itemId });
+      if (!node?.project) {
+        throw new Error(`Project item ${itemId} not found`);
+      }
+      nodes = [node];
+    } else {
+      const [owner, name] = (repository || await this.findIssueRepository(issueNumber, projects)).split('/');
+      if (!owner || !name) {
+        throw new Error(`Repository needs "owner/name", got "${repository}"`);
+      }
+      const response = await this.octokit.graphql(this.getIssueProjectItemsQuery(), { owner, name, number: Number(issueNumber) });
+      const issue = response.repository?.issueOrPullRequest;
+      if (!issue) {
+        throw new Error(`Issue #${issueNumber} not found in ${owner}/${name}`);
+      }
+      nodes = issue.projectItems.nodes;
+    }
+
+    const matches = nodes.filter((node) => boards.some((board) =>
+      board.projectNumber === node.project.number && board.org.toLowerCase() === node.project.owner?.login?.toLowerCase()
+    ));
+    const described = itemId ? `Project item ${itemId}` : `Issue #${issueNumber}`;
+    if (matches.length === 0) {
+      throw new Error(`${described} is not on ${boards.map((board) => board.name).join(', ')}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`${described} is on ${matches.length} of the project boards; pass projects to pick one`);
+    }
+
+    const [node] = matches;
+    const project = { org: node.project.owner.login, projectNumber: node.project.number };
+    return { ...this.normalizeProjectItem(node, project.org, project.projectNumber), project };
+  }
+
+  // The "owner/name" repository of an issue number on the project boards,
+  // for callers that did not say which repository they meant. The boards are
+  // read from their first item on, not just the lookback window, so older
+  // issues are found too; the crawl reads every page of a board either way.
+  async findIssueRepository(issueNumber, projects) {
+    const boards = this.resolveSources({ projects }).filter((source) => source.type === 'project');
+    const items = await this.fetchItems({ sources: boards, since: new Date(0) });
+    const repositories = [...new Set(items
+      .filter((item) => item.content.type !== 'draft_issue' && item.content.number === Number(issueNumber) && item.content.repository)
+      .map((item) => `${item.content.repository.owner}/${item.content.repository.name}`))];
+
+    if (repositories.length === 0) {
+      throw new Error(`Issue #${issueNumber} is not on ${boards.map((board) => board.name).join(', ')}; pass repository as owner/name`);
+    }
+    if (repositories.length > 1) {
+      throw new Error(`Issue #${issueNumber} exists in ${repositories.join(', ')}; pass repository to pick one`);
+    }
+    return repositories[0];
+  }
+
+  // Add or replace the assignees of a project issue. With useRecommendation
+  // the find_best_assignee pick is used; with dryRun nothing is written.
+  async assignIssue({ issueNumber, repository, projects, assignees = [], useRecommendation = false, replace = false, dryRun = false }) {
+    const item = await this.findProjectItem({ issueNumber, repository, projects });
+    const repo = item.content.repository;
+    if (!repo) {
+      throw new Error(`Could not determine the repository for issue #${issueNumber}`);
+    }
+
+    let requested = assignees;
+    let recommendation = null;
+    if (useRecommendation) {
+      const events = await this.getCalendarEvents({ projects });
+      const issueLabels = item.content.labels.map((label) => label.name);
+      recommendation = this.rankAssignees(events, this.loadUnavailability(), issueLabels)[0];
+      if (!recommendation) {
+        throw new Error('No team members found to recommend');
+      }
+      requested = [recommendation.login];
+    }
+    if (requested.length === 0) {
+      throw new Error('Provide assignees or set useRecommendation');
+    }
+
+    const before = item.content.assignees.map((assignee) => assignee.login);
+    const after = replace ? [...new Set(requested)] : [...new Set([...before, ...requested])];
+
+    if (!dryRun) {
+      if (replace) {
+        await this.octokit.rest.issues.update({
+          owner: repo.owner,
+          repo: repo.name,
+          issue_number: item.content.number,
+          assignees: after,
+        });
+      } else {
+        await this.octokit.rest.issues.addAssignees({
+          owner: repo.owner,
+          repo: repo.name,
+          issue_number: item.content.number,
+          assignees: requested,
+        });
+      }
+      // Cached items now hold stale assignees
+      this.itemCache.invalidate();
+    }
+
+    return { item, before, after, recommendation };
+  }
+
+  // Write new start and/or end dates to a project item's date fields. With
+  // dryRun the before/after values are resolved but nothing is written.
+  async rescheduleEvent({ issueNumber, itemId, repository, projects, start, end, dryRun = false }) {
+    if (!start && !end) {
+      throw new Error('Provide a new start and/or end date');
+    }
+
+    const newDates = { start, end };
+    for (const [role, value] of Object.entries(newDates)) {
+      if (value && Number.isNaN(parseISO(value).getTime())) {
+        throw new Error(`Invalid ${role} date: ${value}`);
+      }
+    }
+
+    const item = await this.findProjectItem({ issueNumber, itemId, repository, projects });
+    const { org, projectNumber } = item.project;
+
+    const { projectId, fields } = await this.fetchProjectFields(org, projectNumber);
+    const dateFields = fields.filter((field) => field.dataType === 'DATE');
+
+    const changes = [];
+    for (const [role, value] of Object.entries(newDates)) {
+      if (!value) continue;
+
+      const field = dateFields.find((candidate) => this.resolveFieldRole(candidate) === role);
+      if (!field) {
+        throw new Error(`No ${role} date field found in project ${org}/${projectNumber}`);
+      }
+
+      const current = item.fieldValues.nodes.find((fieldValue) => fieldValue.field.name === field.name);
+      changes.push({
+        role,
+        fieldId: field.id,
+        fieldName: field.name,
+        before: current?.date || null,
+        after: format(parseISO(value), 'yyyy-MM-dd'),
+      });
+    }
+
+    const resultingStart = changes.find((change) => change.role === 'start')?.after ??
+      item.fieldValues.nodes.find((fieldValue) => this.resolveFieldRole(fieldValue.field) === 'start')?.date;
+    const resultingEnd = changes.find((change) => change.role === 'end')?.after ??
+      item.fieldValues.nodes.find((fieldValue) => this.resolveFieldRole(fieldValue.field) === 'end')?.date;
+    if (resultingStart && resultingEnd && resultingEnd < resultingStart) {
+      throw new Error(`End date ${resultingEnd} would be before start date ${resultingStart}`);
+    }
+
+    if (!dryRun) {
+      for (const change of changes) {
+        await this.octokit.graphql(this.getUpdateDateFieldMutation(), {
+          projectId,
+          itemId: item.id,
+          fieldId: change.fieldId,
+          date: change.after,
+        });
+      }
+      // Cached items now hold stale dates
+      this.itemCache.invalidate();
+    }
+
+    return { item, changes };
+  }
+
+  // Globally unique iCalendar UID. Issue numbers repeat across the repositories
+  // a board spans, so issues and pull requests are identified by repository
+  // and number, and drafts (which belong to no repository) by item node id.
+  getICalUid(event) {
+    const key = event.repository
+      ? `${event.repository.owner}-${event.repository.name}-${event.type.replace('_', '-')}-${event.id}`
+      : `${event.type.replace('_', '-')}-${event.id}`;
+    return `${key}@github-calendar-mcp-server`;
+  }
+
+  // Render events as an RFC 5545 VCALENDAR with one all-day VEVENT per issue,
+  // named after the data sources the events were read from
+  createICalendar(events, sources = this.config.dataSources) {
+    const dtstamp = formatICalTimestamp(this.now());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//github-calendar-mcp-server//GitHub Project Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeICalText(`${this.config.displayName} (${sources.map(source => source.name).join(', ')})`)}`,
+    ];
+
+    events.forEach(event => {
+      const start = startOfDay(event.startDate);
+      const lastDay = event.endDate && event.endDate >= event.startDate ? startOfDay(event.endDate) : start;
+      const assigneeList = event.assignees.map(a => a.login).join(', ') || 'Unassigned';
+      const description = [
+        `Status: ${event.projectStatus || this.describeStatus(event)}`,
+        `Assignees: ${assigneeList}`,
+        event.url,
+      ].join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${this.getICalUid(event)}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${formatICalDate(start)}`,
+        // DTEND is exclusive for all-day events
+        `DTEND;VALUE=DATE:${formatICalDate(addDays(lastDay, 1))}`,
+        `SUMMARY:${escapeICalText(this.formatEventLabel(event))}`,
+        `DESCRIPTION:${escapeICalText(description)}`,
+        `URL:${event.url}`,
+      );
+
+      if (event.labels.length > 0) {
+        lines.push(`CATEGORIES:${event.labels.map(label => escapeICalText(label.name)).join(',')}`);
+      }
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+  }
+
+  // Out-of-office and holiday periods from the configured .ics files. A
+  // calendar entry with a `login` belongs to that person; otherwise an
+  // `@login` in the summary attributes the period, and anything left over
+  // (e.g. public holidays) blocks the whole team.
+  loadUnavailability() {
+    return this.config.availabilityCalendars.flatMap((calendar) => {
+      try {
+        const text = readFileSync(path.resolve(calendar.path), 'utf8');
+        return parseICalendar(text).map((period) => ({
+          ...period,
+          login: (calendar.login || period.summary.match(/@([A-Za-z0-9-]+)/)?.[1] || '').toLowerCase() || null,
+        }));
+      } catch (error) {
+        console.error(`Failed to read availability calendar ${calendar.path}:`, error.message);
+        return [];
+      }
+    });
+  }
+
+  // Days between start and end on which `login` is unavailable. Passing no
+  // login only returns team-wide days.
+  getBlockedDays(unavailability, login, start, end) {
+    if (unavailability.length === 0 || start > end) return [];
+
+    const normalizedLogin = login?.toLowerCase();
+    return eachDayOfInterval({ start: startOfDay(start), end: startOfDay(end) }).flatMap(day => {
+      const period = unavailability.find(p =>
+        (p.login === null || p.login === normalizedLogin) && day >= p.start && day <= p.end
+      );
+      return period ? [{ date: day, summary: period.summary, teamWide: period.login === null }] : [];
+    });
+  }
+
+  // Collapse consecutive blocked days with the same reason into ranges
+  groupBlockedDays(blockedDays) {
+    const ranges = [];
+    blockedDays.forEach(day => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.summary === day.summary && isSameDay(addDays(last.end, 1), day.date)) {
+        last.end = day.date;
+      } else {
+        ranges.push({ start: day.date, end: day.date, summary: day.summary, teamWide: day.teamWide });
+      }
+    });
+    return ranges;
+  }
+
+  formatBlockedRange(range) {
+    const startStr = format(range.start, 'MMM dd, yyyy');
+    const dates = isSameDay(range.start, range.end) ? startStr : `${startStr} – ${format(range.end, 'MMM dd, yyyy')}`;
+    return `${dates}: ${range.summary}${range.teamWide ? ' (team-wide)' : ''}`;
+  }
+
+  // Analyze team workload. Each open item counts its estimate (or the default
+  // estimate) toward the assignee's load, which is compared against their
+  // weekly capacity over the availability window, minus time off.
+  analyzeTeamWorkload(events, unavailability = [], { includeMembers = [] } = {}) {
+    const teamWorkload = {};
+    const now = this.now();
+
+    // Members without open work (e.g. candidates from label history) start empty
+    includeMembers.forEach(member => {
+      teamWorkload[member.login] = {
+        login: member.login,
+        avatar_url: member.avatar_url,
+        activeIssues: 0,
+        upcomingIssues: 0,
+        overdueIssues: 0,
+        unestimatedIssues: 0,
+        totalWorkload: 0
+      };
+    });
+    
+    events.forEach(event => {
+      if (event.status === 'closed') return; // Skip completed tasks
+      
+      event.assignees.forEach(assignee => {
+        if (!teamWorkload[assignee.login]) {
+          teamWorkload[assignee.login] = {
+            login: assignee.login,
+            avatar_url: assignee.avatar_url,
+            activeIssues: 0,
+            upcomingIssues: 0,
+            overdueIssues: 0,
+            unestimatedIssues: 0,
+            totalWorkload: 0
+          };
+        }
+        
+        const member = teamWorkload[assignee.login];
+        member.activeIssues++;
+        if (event.estimate === null || event.estimate === undefined) {
+          member.unestimatedIssues++;
+          member.totalWorkload += this.config.defaultEstimate;
+        } else {
+          member.totalWorkload += event.estimate;
+        }
+        
+        // Check if overdue
+        if (event.endDate && event.endDate < now) {
+          member.overdueIssues++;
+        }
+        
+        // Check if upcoming (starts in future)
+        if (event.startDate > now) {
+          member.upcomingIssues++;
+        }
+      });
+    });
+
+    const windowStart = startOfDay(now);
+    const windowEnd = addDays(windowStart, this.config.availabilityWindowDays - 1);
+    const workingDays = eachDayOfInterval({ start: windowStart, end: windowEnd }).filter(day => !isWeekend(day)).length;
+    const windowWeeks = this.config.availabilityWindowDays / 7;
+
+    Object.values(teamWorkload).forEach(member => {
+      const blockedDays = this.getBlockedDays(unavailability, member.login, windowStart, windowEnd)
+        .filter(day => !isWeekend(day.date));
+      const availableFraction = workingDays > 0 ? (workingDays - blockedDays.length) / workingDays : 1;
+
+      member.totalWorkload = Math.round(member.totalWorkload * 10) / 10;
+      member.unavailableDays = blockedDays.length;
+      member.availability = Math.round(availableFraction * 100);
+      member.weeklyCapacity = this.config.memberCapacity[member.login] ?? this.config.weeklyCapacity;
+      member.capacity = Math.round(member.weeklyCapacity * windowWeeks * availableFraction * 10) / 10;
+      // No capacity left in the window (e.g. on leave the whole time) leaves utilization undefined
+      member.utilization = member.capacity > 0 ? Math.round((member.totalWorkload / member.capacity) * 100) : null;
+      member.workloadLevel = this.getWorkloadLevel(member).label;
+    });
+    
+    const sortKey = (member) => member.utilization ?? Number.POSITIVE_INFINITY;
+    return Object.values(teamWorkload).sort((a, b) => sortKey(a) - sortKey(b) || a.totalWorkload - b.totalWorkload);
+  }
+
+  // Rank assignee candidates for a task. Without labels this is purely by
+  // spare capacity; with labels, candidates who completed issues sharing those
+  // labels score higher. The project-wide filter label is ignored since every
+  // item carries it.
+  rankAssignees(events, unavailability, taskLabels = []) {
+    const labels = [...new Set(taskLabels)].filter(label => label !== this.config.label);
+
+    const history = {};
+    if (labels.length > 0) {
+      events.filter(event => event.status === 'closed').forEach(event => {
+        const shared = event.labels.map(label => label.name).filter(name => labels.includes(name));
+        if (shared.length === 0) return;
+
+        event.assignees.forEach(assignee => {
+          if (!history[assignee.login]) {
+            history[assignee.login] = { assignee, matches: 0, completed: 0, labels: new Set() };
+          }
+          const entry = history[assignee.login];
+          entry.matches += shared.length / labels.length;
+          entry.completed++;
+          shared.forEach(name => entry.labels.add(name));
+        });
+      });
+    }
+
+    const workloadAnalysis = this.analyzeTeamWorkload(events, unavailability, {
+      includeMembers: Object.values(history).map(entry => entry.assignee),
+    });
+    const maxMatches = Math.max(0, ...Object.values(history).map(entry => entry.matches));
+    const skillWeight = labels.length > 0 ? this.config.skillWeight : 0;
+
+    return workloadAnalysis.map(member => {
+      const entry = history[member.login];
+      const loadScore = member.utilization === null ? 0 : Math.max(0, 1 - member.utilization / 100);
+      const skillScore = entry && maxMatches > 0 ? entry.matches / maxMatches : 0;
+      const score = Math.round((skillWeight * skillScore + (1 - skillWeight) * loadScore) * 100) / 100;
+
+      const explanation = [`load ${this.formatUtilization(member)} → ${loadScore.toFixed(2)}`];
+      if (labels.length > 0) {
+        explanation.push(entry
+          ? `history ${entry.completed} completed with ${[...entry.labels].join(', ')} → ${skillScore.toFixed(2)}`
+          : `history no completed issues with ${labels.join(', ')} → 0.00`);
+      }
+
+      return { ...member, score, loadScore, skillScore, explanation: explanation.join('; ') };
+    }).sort((a, b) => b.score - a.score || (a.utilization ?? Infinity) - (b.utilization ?? Infinity));
+  }
+
+  // Scan open events for scheduling problems between start and end:
+  // - overload: an assignee has more than `concurrencyLimit` items on the same days
+  // - invalidRange: an item ends before it starts
+  // - unavailable: an item is scheduled while its assignee is out of office
+  // Items without an end date only occupy their start day. Results are sorted
+  // by severity, then date.
+  detectConflicts(events, unavailability, { start, end, concurrencyLimit = this.config.maxConcurrentItems }) {
+    const conflicts = [];
+    const openEvents = events.filter(event => event.status !== 'closed');
+    const clampToRange = (rangeStart, rangeEnd) => ({
+      start: startOfDay(rangeStart > start ? rangeStart : start),
+      end: startOfDay(rangeEnd < end ? rangeEnd : end),
+    });
+
+    openEvents.filter(event => event.endDate && event.endDate < event.startDate).forEach(event => {
+      conflicts.push({
+        type: 'invalidRange',
+        severity: 'high',
+        login: null,
+        start: event.startDate,
+        end: event.startDate,
+        events: [event],
+        message: `${this.formatEventLabel(event)} ends (${format(event.endDate, 'MMM dd, yyyy')}) before it starts (${format(event.startDate, 'MMM dd, yyyy')})`,
+      });
+    });
+
+    const validEvents = openEvents.filter(event => !event.endDate || event.endDate >= event.startDate);
+    const logins = [...new Set(validEvents.flatMap(event => event.assignees.map(assignee => assignee.login)))];
+
+    logins.forEach(login => {
+      const personEvents = validEvents.filter(event => event.assignees.some(assignee => assignee.login === login));
+
+      // Overload: days with more concurrent items than the limit
+      const eventsByDay = new Map();
+      personEvents.forEach(event => {
+        const range = clampToRange(event.startDate, event.endDate || event.startDate);
+        if (range.start > range.end) return;
+        eachDayOfInterval(range).forEach(day => {
+          const key = day.getTime();
+          if (!eventsByDay.has(key)) eventsByDay.set(key, []);
+          eventsByDay.get(key).push(event);
+        });
+      });
+
+      const overloadedDays = [...eventsByDay.entries()]
+        .filter(([, dayEvents]) => dayEvents.length > concurrencyLimit)
+        .sort(([a], [b]) => a - b);
+      const overloadRanges = [];
+      overloadedDays.forEach(([time, dayEvents]) => {
+        const day = new Date(time);
+        const last = overloadRanges[overloadRanges.length - 1];
+        if (last && isSameDay(addDays(last.end, 1), day)) {
+          last.end = day;
+          last.peak = Math.max(last.peak, dayEvents.length);
+          dayEvents.forEach(event => last.events.add(event));
+        } else {
+          overloadRanges.push({ start: day, end: day, peak: dayEvents.length, events: new Set(dayEvents) });
+        }
+      });
+      overloadRanges.forEach(range => {
+        conflicts.push({
+          type: 'overload',
+          severity: range.peak >= concurrencyLimit + 2 ? 'high' : 'medium',
+          login,
+          start: range.start,
+          end: range.end,
+          events: [...range.events],
+          message: `${login} has up to ${range.peak} items in progress at once (limit ${concurrencyLimit})`,
+        });
+      });
+
+      // Scheduled while out of office
+      personEvents.forEach(event => {
+        const range = clampToRange(event.startDate, event.endDate || event.startDate);
+        if (range.start > range.end) return;
+        const workingDays = eachDayOfInterval(range).filter(day => !isWeekend(day));
+        const blockedDays = this.getBlockedDays(unavailability, login, range.start, range.end)
+          .filter(day => !isWeekend(day.date));
+        if (blockedDays.length === 0) return;
+
+        conflicts.push({
+          type: 'unavailable',
+          severity: blockedDays.length >= workingDays.length ? 'high' : 'low',
+          login,
+          start: blockedDays[0].date,
+          end: blockedDays[blockedDays.length - 1].date,
+          events: [event],
+          message: `${this.formatEventLabel(event)} is scheduled while ${login} is unavailable on ${blockedDays.length} of ${workingDays.length} working days`,
+        });
+      });
+    });
+
+    const severityRank = { high: 0, medium: 1, low: 2 };
+    return conflicts.sort((a, b) => severityRank[a.severity] - severityRank[b.severity] || a.start - b.start);
+  }
+
+  // Completed work per week or per iteration, team-wide and per person, with
+  // a rolling average and a burndown of the remaining open scope projected at
+  // the average pace of the last `rollingWindow` completed periods. Iterations
+  // come from the project's iteration field; items without an estimate count
+  // as the default estimate.
+  buildVelocityReport(events, { period = 'week', periods = 8, rollingWindow = 3, now = this.now() } = {}) {
+    const pointsFor = event => event.estimate ?? this.config.defaultEstimate;
+
+    let buckets;
+    if (period === 'iteration') {
+      const iterations = new Map();
+      events.forEach(event => {
+        if (event.iteration) iterations.set(event.iteration.startDate.getTime(), event.iteration);
+      });
+      buckets = [...iterations.values()]
+        .filter(iteration => iteration.startDate <= now)
+        .sort((a, b) => a.startDate - b.startDate)
+        .slice(-periods)
+        .map(iteration => ({ label: iteration.title, start: startOfDay(iteration.startDate), end: endOfDay(iteration.endDate) }));
+      if (buckets.length === 0) {
+        throw new Error('No iterations found on project items; map an iteration field or use period "week"');
+      }
+    } else {
+      buckets = Array.from({ length: periods }, (_, index) => {
+        const start = startOfWeek(addWeeks(now, index - periods + 1));
+        return { label: format(start, 'MMM dd'), start, end: endOfWeek(start) };
+      });
+    }
+
+    buckets.forEach(bucket => {
+      bucket.complete = bucket.end < now;
+      bucket.items = 0;
+      bucket.points = 0;
+      bucket.byPerson = {};
+    });
+
+    events.filter(event => event.status === 'closed' && event.closedAt).forEach(event => {
+      const bucket = buckets.find(b => event.closedAt >= b.start && event.closedAt <= b.end);
+      if (!bucket) return;
+      const points = pointsFor(event);
+      bucket.items++;
+      bucket.points += points;
+      event.assignees.forEach(assignee => {
+        if (!bucket.byPerson[assignee.login]) {
+          bucket.byPerson[assignee.login] = { items: 0, points: 0 };
+        }
+        const person = bucket.byPerson[assignee.login];
+        person.items++;
+        person.points += points;
+      });
+    });
+
+    const round = value => Math.round(value * 10) / 10;
+    buckets.forEach((bucket, index) => {
+      const window = buckets.slice(Math.max(0, index - rollingWindow + 1), index + 1);
+      bucket.points = round(bucket.points);
+      Object.values(bucket.byPerson).forEach(person => { person.points = round(person.points); });
+      bucket.rollingAverage = round(window.reduce((sum, b) => sum + b.points, 0) / window.length);
+    });
+
+    const people = [...new Set(buckets.flatMap(bucket => Object.keys(bucket.byPerson)))].sort();
+
+    // Pace from completed periods only; the current one is still filling up
+    const completed = buckets.filter(bucket => bucket.complete);
+    const paceBuckets = (completed.length > 0 ? completed : buckets).slice(-rollingWindow);
+    const velocity = round(paceBuckets.reduce((sum, bucket) => sum + bucket.points, 0) / paceBuckets.length);
+    const bucketDays = Math.round(
+      buckets.reduce((sum, bucket) => sum + differenceInCalendarDays(bucket.end, bucket.start) + 1, 0) / buckets.length
+    );
+
+    const openEvents = events.filter(event => event.status !== 'closed');
+    const remaining = {
+      items: openEvents.length,
+      points: round(openEvents.reduce((sum, event) => sum + pointsFor(event), 0)),
+    };
+
+    // Scope still open at the end of each past period, then the projection
+    const openAt = date => events
+      .filter(event => event.createdAt <= date && (event.status !== 'closed' || (event.closedAt && event.closedAt > date)))
+      .reduce((sum, event) => sum + pointsFor(event), 0);
+    const burndown = buckets
+      .filter(bucket => bucket.complete)
+      .map(bucket => ({ date: bucket.end, remaining: round(openAt(bucket.end)), projected: false }));
+    burndown.push({ date: now, remaining: remaining.points, projected: false });
+
+    let projectedCompletion = null;
+    if (velocity > 0) {
+      let left = remaining.points;
+      for (let step = 1; left > 0 && step <= 52; step++) {
+        left = Math.max(0, round(left - velocity));
+        burndown.push({ date: addDays(now, step * bucketDays), remaining: left, projected: true });
+      }
+      if (left === 0) projectedCompletion = burndown[burndown.length - 1].date;
+    } else if (remaining.points === 0) {
+      projectedCompletion = now;
+    }
+
+    return { period, rollingWindow, buckets, people, velocity, bucketDays, remaining, burndown, projectedCompletion };
+  }
+
+  // Timeline events since `since` of every issue and pull request updated
+  // since then, keyed like the item history and oldest first. Drafts have no
+  // timeline. An item whose timeline cannot be read is left out with a data
+  // warning, and the digest falls back to its snapshots.
+  async fetchIssueTimelines(events, since) {
+    const touched = events.filter((event) => event.type !== 'draft_issue' && event.repository && event.updatedAt >= since);
+    const timelines = new Map();
+    const unreadable = (event, reason) => {
+      timelines.delete(this.historyKey(event));
+      this.addDataWarning(`Timeline of ${event.repository.owner}/${event.repository.name}#${event.id} could not be read (${reason}); its changes come from item history`);
+    };
+
+    // Timelines still to read, with the cursor each continues from. Timelines
+    // with more pages go back in the queue and share a later request.
+    let queue = touched.map((event) => ({ event, cursor: null, pages: 0 }));
+    while (queue.length > 0) {
+      const batch = queue.slice(0, TIMELINE_BATCH_SIZE);
+      queue = queue.slice(TIMELINE_BATCH_SIZE);
+
+      const variables = { since: since.toISOString() };
+      batch.forEach(({ event, cursor }, index) => {
+        variables[`owner${index}`] = event.repository.owner;
+        variables[`name${index}`] = event.repository.name;
+        variables[`number${index}`] = Number(event.id);
+        variables[`after${index}`] = cursor;
+      });
+
+      let response;
+      let errors = [];
+      try {
+        response = await this.octokit.graphql(this.getIssueTimelineQuery(batch.length), variables);
+      } catch (error) {
+        // An item that cannot be read (e.g. a deleted repository) fails the
+        // request, but the response still carries the other items
+        if (!error.data) {
+          batch.forEach(({ event }) => unreadable(event, error.message));
+          continue;
+        }
+        response = error.data;
+        errors = error.errors || [];
+      }
+      this.recordGraphQLCost(response.rateLimit);
+
+      batch.forEach((entry, index) => {
+        const { event } = entry;
+        const alias = `item${index}`;
+        const timeline = response[alias]?.issueOrPullRequest?.timelineItems;
+        if (!timeline) {
+          unreadable(event, errors.find((error) => error.path?.[0] === alias)?.message || 'not found');
+          return;
+        }
+
+        const key = this.historyKey(event);
+        timelines.set(key, [...(timelines.get(key) || []), ...timeline.nodes.map((node) => ({
+          type: TIMELINE_EVENT_TYPES[node.__typename],
+          at: new Date(node.createdAt),
+          login: node.assignee?.login ?? null,
+        }))]);
+
+        if (!timeline.pageInfo.hasNextPage) return;
+        if (entry.pages + 1 < MAX_TIMELINE_PAGES) {
+          queue.push({ event, cursor: timeline.pageInfo.endCursor, pages: entry.pages + 1 });
+        } else {
+          this.addDataWarning(`Timeline of ${event.repository.owner}/${event.repository.name}#${event.id} has more than ${MAX_TIMELINE_PAGES * 100} events since ${format(since, 'yyyy-MM-dd')}; later ones are left out`);
+        }
+      });
+    }
+    return timelines;
+  }
+
+  // Drafts share the board URL, so they are told apart by item id
+  historyKey(event) {
+    return event.type === 'draft_issue' ? event.id : event.url;
   }
 
-  // Analyze team workload
-  analyzeTeamWorkload(events) {
-    const teamWorkload = {};
-    const now = new Date();
-    
+  // The properties of an event whose changes get_daily_digest reports
+  toHistoryState(event) {
+    return {
+      start: format(event.startDate, 'yyyy-MM-dd'),
+      end: event.endDate ? format(event.endDate, 'yyyy-MM-dd') : null,
+      status: event.status,
+      projectStatus: event.projectStatus ?? null,
+      assignees: event.assignees.map(assignee => assignee.login).sort(),
+    };
+  }
+
+  // Changes to items since `since`, grouped by person. New items come from
+  // GitHub's creation time; closes, reopens and reassignments from the issue
+  // timelines; date changes and project status moves compare the item history
+  // at `since` with the items as they are now. Items without a timeline
+  // (drafts) take their closes, reopens and reassignments from history too.
+  // A reassignment is listed under both the previous and the new assignees.
+  buildDailyDigest(events, since, timelines = new Map()) {
+    const formatDates = state => state.end && state.end !== state.start ? `${state.start} – ${state.end}` : state.start;
+    const formatStatus = state => state.projectStatus
+      ? `${state.projectStatus}${state.status === 'closed' ? ' (closed)' : ''}`
+      : state.status;
+    const formatPeople = logins => logins.length > 0 ? logins.join(', ') : 'nobody';
+
+    const changes = [];
+    const add = (kind, event, people, details = {}) => {
+      changes.push({ kind, event, people, at: null, from: null, to: null, ...details });
+    };
+    const addReassigned = (event, from, to) => {
+      if (from.join() === to.join()) return;
+      add('reassigned', event, [...new Set([...from, ...to])].sort(), { from: formatPeople(from), to: formatPeople(to) });
+    };
+
     events.forEach(event => {
-      if (event.status === 'closed') return; // Skip completed tasks
-      
-      event.assignees.forEach(assignee => {
-        if (!teamWorkload[assignee.login]) {
-          teamWorkload[assignee.login] = {
-            login: assignee.login,
-            avatar_url: assignee.avatar_url,
-            activeIssues: 0,
-            upcomingIssues: 0,
-            overdueIssues: 0,
-            totalWorkload: 0
-          };
+      const after = this.toHistoryState(event);
+      const before = this.itemHistory.stateAt(this.historyKey(event), since);
+      const timeline = timelines.get(this.historyKey(event));
+      if (event.createdAt >= since) {
+        add('added', event, after.assignees, { at: event.createdAt });
+      }
+
+      if (timeline) {
+        const latest = type => timeline.filter(entry => entry.type === type).pop();
+        ['closed', 'reopened'].forEach(kind => {
+          if (latest(kind)) add(kind, event, after.assignees, { at: latest(kind).at });
+        });
+        // Undo the assignment events, newest first, to get the assignees at
+        // `since`. Items created since then are listed as new with their assignees.
+        if (event.createdAt < since) {
+          const assigneesBefore = new Set(after.assignees);
+          [...timeline].reverse().forEach(entry => {
+            if (entry.type === 'assigned') assigneesBefore.delete(entry.login);
+            if (entry.type === 'unassigned') assigneesBefore.add(entry.login);
+          });
+          addReassigned(event, [...assigneesBefore].sort(), after.assignees);
         }
-        
-        const member = teamWorkload[assignee.login];
-        member.activeIssues++;
-        member.totalWorkload++;
-        
-        // Check if overdue
-        if (event.endDate && event.endDate < now) {
-          member.overdueIssues++;
+      } else {
+        if (event.status === 'closed' && event.closedAt >= since) {
+          add('closed', event, after.assignees, { at: event.closedAt });
         }
-        
-        // Check if upcoming (starts in future)
-        if (event.startDate > now) {
-          member.upcomingIssues++;
+        if (before?.status === 'closed' && after.status !== 'closed') {
+          add('reopened', event, after.assignees);
         }
+        if (before) addReassigned(event, before.assignees, after.assignees);
+      }
+
+      if (!before) return;
+      if (before.start !== after.start || before.end !== after.end) {
+        add('rescheduled', event, after.assignees, { from: formatDates(before), to: formatDates(after) });
+      }
+      if (before.projectStatus !== after.projectStatus) {
+        add('moved', event, after.assignees, { from: formatStatus(before), to: formatStatus(after) });
+      }
+    });
+
+    const kinds = Object.keys(DIGEST_CHANGES);
+    const byPerson = new Map();
+    changes.forEach(change => {
+      (change.people.length > 0 ? change.people : ['Unassigned']).forEach(login => {
+        if (!byPerson.has(login)) byPerson.set(login, []);
+        byPerson.get(login).push(change);
       });
     });
-    
-    return Object.values(teamWorkload).sort((a, b) => a.totalWorkload - b.totalWorkload);
+    const people = [...byPerson.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([login, personChanges]) => ({
+        login,
+        changes: personChanges.sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind) || a.event.title.localeCompare(b.event.title)),
+      }));
+    const counts = Object.fromEntries(kinds.map(kind => [kind, changes.filter(change => change.kind === kind).length]));
+
+    return { since, changes, people, counts };
+  }
+
+  // Conflict messages keyed by yyyy-MM-dd for every day a conflict covers
+  getConflictDays(conflicts) {
+    const conflictDays = new Map();
+    conflicts.forEach(conflict => {
+      eachDayOfInterval({ start: conflict.start, end: conflict.end }).forEach(day => {
+        const dateKey = format(day, 'yyyy-MM-dd');
+        if (!conflictDays.has(dateKey)) conflictDays.set(dateKey, []);
+        conflictDays.get(dateKey).push(conflict.message);
+      });
+    });
+    return conflictDays;
+  }
+
+  // Workload level and color from utilization, shared by every workload tool and UI
+  getWorkloadLevel(member) {
+    const { light, moderate } = this.config.workloadThresholds;
+    if (member.utilization === null) return { label: 'Unavailable', color: '#6b7280' };
+    if (member.utilization <= light) return { label: 'Light', color: '#10b981' };
+    if (member.utilization <= moderate) return { label: 'Moderate', color: '#f59e0b' };
+    return { label: 'Heavy', color: '#ef4444' };
+  }
+
+  // "3 pts, 50% of capacity" for text output
+  formatUtilization(member) {
+    const utilization = member.utilization === null ? 'no capacity in window' : `${member.utilization}% of capacity`;
+    return `${member.totalWorkload} pts, ${utilization}`;
+  }
+
+  // Bounds and heading for the month or week containing `date`
+  getCalendarPeriod(date, view = 'month') {
+    if (view === 'week') {
+      const start = startOfWeek(date);
+      const end = endOfWeek(date);
+      return { start, end, label: `Week of ${format(start, 'MMM d')} – ${format(end, isSameMonth(start, end) ? 'd, yyyy' : 'MMM d, yyyy')}` };
+    }
+    return { start: startOfMonth(date), end: endOfMonth(date), label: format(date, 'MMMM yyyy') };
   }
 
   // Create calendar UI for events
-  createCalendarUI(events, currentDate = new Date()) {
-    const monthStart = startOfMonth(currentDate);
-    const monthEnd = endOfMonth(currentDate);
-    const calendarDays = eachDayOfInterval({ start: monthStart, end: monthEnd });
+  createCalendarUI(events, currentDate = this.now(), unavailability = [], { view = 'month', toolParams = {}, conflictDays = new Map() } = {}) {
+    const period = this.getCalendarPeriod(currentDate, view);
+    // Month view pads to whole weeks so the 1st lands under the right weekday
+    const gridStart = view === 'week' ? period.start : startOfWeek(period.start);
+    const gridEnd = view === 'week' ? period.end : endOfWeek(period.end);
+    const calendarDays = eachDayOfInterval({ start: gridStart, end: gridEnd });
+    const maxEventsPerDay = view === 'week' ? 10 : 3;
     
     // Group events by date
     const eventsByDate = {};
@@ -436,16 +2856,16 @@ class GitHubCalendarMCPServer {
       
       if (event.endDate && event.startDate.getTime() !== event.endDate.getTime()) {
         // Multi-day event - add to all days in range
-        const eventStart = event.startDate > monthStart ? event.startDate : monthStart;
-        const eventEnd = event.endDate < monthEnd ? event.endDate : monthEnd;
+        const eventStart = event.startDate > gridStart ? event.startDate : gridStart;
+        const eventEnd = event.endDate < gridEnd ? event.endDate : gridEnd;
         
-        if (eventStart <= monthEnd && eventEnd >= monthStart) {
+        if (eventStart <= eventEnd && eventStart <= gridEnd && eventEnd >= gridStart) {
           const eventInterval = eachDayOfInterval({ start: eventStart, end: eventEnd });
           eventDates.push(...eventInterval);
         }
       } else {
         // Single day event
-        if (isSameMonth(event.startDate, currentDate)) {
+        if (event.startDate >= gridStart && event.startDate <= gridEnd) {
           eventDates.push(event.startDate);
         }
       }
@@ -474,32 +2894,60 @@ class GitHubCalendarMCPServer {
       assigneeColorMap[login] = assigneeColors[index % assigneeColors.length];
     });
 
+    // Once several projects contribute events, mark each with its project's edge color
+    const sourceColors = ['#111827', '#fbbf24', '#f472b6', '#34d399', '#a78bfa', '#60a5fa'];
+    const uniqueSources = Array.from(new Set(events.map(event => event.source.name)));
+    const sourceColorMap = {};
+    if (uniqueSources.length > 1) {
+      uniqueSources.forEach((sourceName, index) => {
+        sourceColorMap[sourceName] = sourceColors[index % sourceColors.length];
+      });
+    }
+
     // Generate calendar grid
     const calendarGrid = calendarDays.map(day => {
       const dateKey = format(day, 'yyyy-MM-dd');
       const dayEvents = eventsByDate[dateKey] || [];
-      const isToday = isSameDay(day, new Date());
+      const isToday = isSameDay(day, this.now());
       
-      const eventItems = dayEvents.slice(0, 3).map(event => {
+      const eventItems = dayEvents.slice(0, maxEventsPerDay).map(event => {
         const primaryAssignee = event.assignees[0];
         const color = primaryAssignee ? assigneeColorMap[primaryAssignee.login] : '#3b82f6';
         const isCompleted = event.status === 'closed';
+        const sourceColor = sourceColorMap[event.source.name];
         
         return `
-          <div class="event" style="background-color: ${color}${isCompleted ? '80' : ''}; color: white; font-size: 10px; padding: 2px 4px; margin: 1px 0; border-radius: 2px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;" title="${event.title}">
-            ${isCompleted ? '✓ ' : ''}${event.title}
+          <div class="event" style="background-color: ${color}${isCompleted ? '80' : ''}; color: white; font-size: 10px; padding: 2px 4px; margin: 1px 0; border-radius: 2px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;${sourceColor ? ` border-left: 4px solid ${sourceColor};` : ''}" title="${escapeHtml(`${event.title} • ${event.source.name}`)}">
+            ${isCompleted ? '✓ ' : ''}${ITEM_TYPE_ICONS[event.type]}${escapeHtml(event.title)}
           </div>
         `;
       }).join('');
       
-      const moreCount = dayEvents.length > 3 ? dayEvents.length - 3 : 0;
+      const moreCount = dayEvents.length > maxEventsPerDay ? dayEvents.length - maxEventsPerDay : 0;
       const moreIndicator = moreCount > 0 ? `<div class="more" style="font-size: 9px; color: #666;">+${moreCount} more</div>` : '';
+
+      // Blocked days: team-wide holidays shade the cell, personal time off is listed
+      const dayUnavailability = unavailability.filter(period => day >= period.start && day <= period.end);
+      const holiday = dayUnavailability.find(period => period.login === null);
+      const outOfOffice = Array.from(new Set(dayUnavailability.filter(period => period.login !== null).map(period => period.login)));
+      const blockedItems = `
+        ${holiday ? `<div class="blocked" style="font-size: 10px; color: #92400e; margin-bottom: 2px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;" title="${escapeHtml(holiday.summary)}">🚫 ${escapeHtml(holiday.summary)}</div>` : ''}
+        ${outOfOffice.length > 0 ? `<div class="blocked" style="font-size: 10px; color: #6b7280; margin-bottom: 2px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;" title="Out of office: ${escapeHtml(outOfOffice.join(', '))}">🏖️ ${escapeHtml(outOfOffice.join(', '))}</div>` : ''}
+      `;
+      const inPeriod = day >= period.start && day <= period.end;
+      const background = isToday ? '#eff6ff' : holiday ? '#fef3c7' : inPeriod ? 'white' : '#f9fafb';
+      const dayConflicts = conflictDays.get(dateKey) || [];
+      const conflictBadge = dayConflicts.length > 0
+        ? `<div class="conflict" style="font-size: 10px; color: #b91c1c; font-weight: 600; margin-bottom: 2px;" title="${escapeHtml(dayConflicts.join('\n'))}">⚠️ ${dayConflicts.length} conflict${dayConflicts.length === 1 ? '' : 's'}</div>`
+        : '';
       
       return `
-        <div class="calendar-day ${isToday ? 'today' : ''}" style="border: 1px solid #e5e7eb; padding: 4px; min-height: 100px; background: ${isToday ? '#eff6ff' : 'white'};">
+        <div class="calendar-day ${isToday ? 'today' : ''}" style="border: 1px solid #e5e7eb; padding: 4px; min-height: ${view === 'week' ? 240 : 100}px; background: ${background}; opacity: ${inPeriod ? 1 : 0.6};${dayConflicts.length > 0 ? ' box-shadow: inset 0 0 0 2px #ef4444;' : ''}">
           <div class="day-number" style="font-weight: ${isToday ? 'bold' : 'normal'}; color: ${isToday ? '#3b82f6' : '#374151'}; margin-bottom: 4px;">
             ${format(day, 'd')}
           </div>
+          ${conflictBadge}
+          ${blockedItems}
           <div class="events">
             ${eventItems}
             ${moreIndicator}
@@ -514,19 +2962,33 @@ class GitHubCalendarMCPServer {
       const assignee = events.find(e => e.assignees.some(a => a.login === login))?.assignees.find(a => a.login === login);
       
       return `
-        <div onclick="filterByAssignee('${login}')" style="display: flex; align-items: center; margin: 4px 8px; cursor: pointer; padding: 4px; border-radius: 4px; transition: background-color 0.2s;" onmouseover="this.style.backgroundColor='#f3f4f6'" onmouseout="this.style.backgroundColor='transparent'">
+        <div onclick="filterByAssignee(${jsArg(login)})" style="display: flex; align-items: center; margin: 4px 8px; cursor: pointer; padding: 4px; border-radius: 4px; transition: background-color 0.2s;" onmouseover="this.style.backgroundColor='#f3f4f6'" onmouseout="this.style.backgroundColor='transparent'">
           <div style="width: 12px; height: 12px; background-color: ${color}; border-radius: 2px; margin-right: 8px;"></div>
-          <img src="${assignee?.avatar_url || ''}" alt="${login}" style="width: 20px; height: 20px; border-radius: 50%; margin-right: 8px;">
-          <span style="font-size: 12px;">${login}</span>
+          <img src="${safeUrl(assignee?.avatar_url)}" alt="${escapeHtml(login)}" style="width: 20px; height: 20px; border-radius: 50%; margin-right: 8px;">
+          <span style="font-size: 12px;">${escapeHtml(login)}</span>
         </div>
       `;
     }).join('');
 
+    // Tool arguments that re-render this calendar for other periods
+    const periodParams = (date, periodView) => ({
+      ...toolParams,
+      view: periodView,
+      ...(periodView === 'week' ? { start: format(startOfWeek(date), 'yyyy-MM-dd') } : { month: format(date, 'yyyy-MM') }),
+    });
+    const step = view === 'week' ? addWeeks : addMonths;
+    const currentParams = periodParams(period.start, view);
+    const previousParams = periodParams(step(period.start, -1), view);
+    const nextParams = periodParams(step(period.start, 1), view);
+    const todayParams = periodParams(this.now(), view);
+    const switchViewParams = periodParams(view === 'week' ? period.start : currentDate, view === 'week' ? 'month' : 'week');
+
     return `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <style>
         body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -545,13 +3007,21 @@ class GitHubCalendarMCPServer {
         .stat { }
         .stat-number { font-size: 24px; font-weight: bold; color: #3b82f6; }
         .stat-label { font-size: 12px; color: #6b7280; }
+        .nav { display: flex; justify-content: center; gap: 8px; margin-top: 12px; }
+        .nav button { background: rgba(255,255,255,0.2); color: white; border: 1px solid rgba(255,255,255,0.4); padding: 4px 12px; border-radius: 6px; cursor: pointer; font-size: 12px; }
       </style>
     </head>
     <body>
       <div class="container">
         <div class="header">
           <h2 style="margin: 0; font-size: 24px;">📅 GitHub Project Calendar</h2>
-          <p style="margin: 8px 0 0 0; opacity: 0.9;">${format(currentDate, 'MMMM yyyy')} • DevRel Open Source</p>
+          <p style="margin: 8px 0 0 0; opacity: 0.9;">${period.label} • ${escapeHtml(this.config.displayName)}</p>
+          <div class="nav">
+            <button onclick="navigate(${jsArg(previousParams)})">← Previous</button>
+            <button onclick="navigate(${jsArg(todayParams)})">Today</button>
+            <button onclick="navigate(${jsArg(switchViewParams)})">${view === 'week' ? 'Month view' : 'Week view'}</button>
+            <button onclick="navigate(${jsArg(nextParams)})">Next →</button>
+          </div>
         </div>
         
         <div class="stats">
@@ -596,6 +3066,20 @@ class GitHubCalendarMCPServer {
           </div>
         ` : ''}
 
+        ${uniqueSources.length > 1 ? `
+          <div class="legend">
+            <div class="legend-title">Projects</div>
+            <div class="legend-items">
+              ${uniqueSources.map(sourceName => `
+                <div style="display: flex; align-items: center; margin: 4px 8px; padding: 4px;">
+                  <div style="width: 4px; height: 14px; background-color: ${sourceColorMap[sourceName]}; margin-right: 8px;"></div>
+                  <span style="font-size: 12px;">${escapeHtml(sourceName)}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
+
         <div style="padding: 16px; background: #f8fafc; border-top: 1px solid #e5e7eb; display: flex; gap: 8px; flex-wrap: wrap;">
           <button onclick="refreshCalendar()" style="background: #3b82f6; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 12px;">🔄 Refresh</button>
           <button onclick="showTeamStatus()" style="background: #10b981; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 12px;">👥 Team Status</button>
@@ -616,39 +3100,39 @@ class GitHubCalendarMCPServer {
         }).observe(document.documentElement);
 
         // Interactive functions
-        function refreshCalendar() {
+        function navigate(params) {
           window.parent.postMessage({
-            type: "prompt",
-            payload: { prompt: "Refresh the calendar and show me updated events" }
+            type: "tool",
+            payload: { toolName: "get_calendar_events", params }
           }, "*");
         }
 
-        function showTeamStatus() {
+        function refreshCalendar() {
+          navigate(${scriptValue({ ...currentParams, refresh: true })});
+        }
+
+        // Other tools, run against the same project boards as this calendar
+        function runTool(toolName, params) {
           window.parent.postMessage({
-            type: "prompt",
-            payload: { prompt: "Show me the current team status" }
+            type: "tool",
+            payload: { toolName, params: { ...${scriptValue(toolParams.projects ? { projects: toolParams.projects } : {})}, ...params } }
           }, "*");
         }
 
+        function showTeamStatus() {
+          runTool("get_team_status", {});
+        }
+
         function analyzeWorkload() {
-          window.parent.postMessage({
-            type: "prompt",
-            payload: { prompt: "Analyze the team workload distribution" }
-          }, "*");
+          runTool("analyze_workload", {});
         }
 
         function findAssignee() {
-          window.parent.postMessage({
-            type: "prompt",
-            payload: { prompt: "Who should I assign a new task to?" }
-          }, "*");
+          runTool("find_best_assignee", {});
         }
 
         function filterByAssignee(login) {
-          window.parent.postMessage({
-            type: "prompt",
-            payload: { prompt: \`Show me calendar events for \${login}\` }
-          }, "*");
+          runTool("get_person_schedule", { login });
         }
 
         function viewEventDetails(eventUrl) {
@@ -663,14 +3147,388 @@ class GitHubCalendarMCPServer {
     `;
   }
 
+  // Group events for the timeline; an event with several assignees appears
+  // under each of them
+  groupTimelineEvents(events, groupBy) {
+    const groups = new Map();
+    const add = (key, event) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    };
+
+    events.forEach(event => {
+      if (groupBy === 'status') {
+        add(event.projectStatus || event.status, event);
+      } else if (groupBy === 'project') {
+        add(event.source.name, event);
+      } else if (event.assignees.length === 0) {
+        add('Unassigned', event);
+      } else {
+        event.assignees.forEach(assignee => add(assignee.login, event));
+      }
+    });
+
+    groups.forEach(groupEvents => groupEvents.sort((a, b) => a.startDate - b.startDate));
+    return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  isOverdue(event, now = this.now()) {
+    return event.status !== 'closed' && event.endDate && event.endDate < startOfDay(now);
+  }
+
+  // Create timeline (Gantt) UI: one bar per event from start to end date
+  createTimelineUI(events, rangeStart, rangeEnd, groupBy = 'assignee') {
+    const totalDays = differenceInCalendarDays(rangeEnd, rangeStart) + 1;
+    const now = this.now();
+    const offsetPercent = (date) =>
+      Math.min(Math.max(differenceInCalendarDays(date, rangeStart) / totalDays, 0), 1) * 100;
+
+    const monthTicks = eachMonthOfInterval({ start: rangeStart, end: rangeEnd }).map(month => {
+      const left = offsetPercent(month < rangeStart ? rangeStart : month);
+      return `<div style="position: absolute; left: ${left}%; top: 0; bottom: 0; border-left: 1px solid #e5e7eb; padding-left: 4px; font-size: 11px; color: #6b7280;">${format(month, 'MMM yyyy')}</div>`;
+    }).join('');
+
+    const todayMarker = now >= rangeStart && now <= endOfDay(rangeEnd)
+      ? `<div class="today-marker" style="left: ${offsetPercent(now)}%;" title="Today"></div>`
+      : '';
+
+    const groupRows = [...this.groupTimelineEvents(events, groupBy).entries()].map(([group, groupEvents]) => {
+      const rows = groupEvents.map(event => {
+        const end = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+        const left = offsetPercent(event.startDate);
+        const right = offsetPercent(addDays(startOfDay(end), 1));
+        const isCompleted = event.status === 'closed';
+        const overdue = this.isOverdue(event, now);
+        const color = isCompleted ? '#9ca3af' : overdue ? '#ef4444' : '#3b82f6';
+        const dates = `${format(event.startDate, 'MMM dd')} – ${event.endDate ? format(event.endDate, 'MMM dd') : 'no end date'}`;
+
+        return `
+          <div class="row">
+            <div class="row-label" title="${escapeHtml(`${event.title} • ${event.source.name}`)}">
+              <a href="${safeUrl(event.url)}" target="_blank" style="color: #374151; text-decoration: none;">${ITEM_TYPE_ICONS[event.type]}${escapeHtml(this.formatEventLabel(event))}</a>
+            </div>
+            <div class="row-track">
+              <div class="bar" style="left: ${left}%; width: ${Math.max(right - left, 0.5)}%; background: ${color};" title="${escapeHtml(event.title)} (${dates})${overdue ? ' • overdue' : ''}">
+                ${isCompleted ? '✓ ' : overdue ? '⚠️ ' : ''}${dates}
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('');
+
+      return `
+        <div class="group">
+          <div class="group-title">${escapeHtml(group)} <span style="color: #6b7280; font-weight: normal;">(${groupEvents.length})</span></div>
+          ${rows}
+        </div>
+      `;
+    }).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
+        .container { max-width: 1100px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+        .timeline { position: relative; padding: 0 16px 16px 16px; }
+        .scale { position: relative; height: 24px; margin-left: 260px; border-bottom: 1px solid #e5e7eb; }
+        .group { margin-top: 12px; }
+        .group-title { font-weight: 600; color: #1f2937; font-size: 13px; padding: 4px 0; border-bottom: 1px solid #f3f4f6; }
+        .row { display: flex; align-items: center; height: 26px; }
+        .row-label { width: 260px; flex-shrink: 0; font-size: 12px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; padding-right: 8px; box-sizing: border-box; }
+        .row-track { position: relative; flex: 1; height: 100%; }
+        .bar { position: absolute; top: 4px; height: 18px; border-radius: 4px; color: white; font-size: 10px; line-height: 18px; padding: 0 4px; overflow: hidden; white-space: nowrap; box-sizing: border-box; }
+        .today-marker { position: absolute; top: 0; bottom: 0; width: 2px; background: #f59e0b; z-index: 1; }
+        .tracks { position: relative; }
+        .today-layer { position: absolute; top: 0; bottom: 0; left: 260px; right: 0; pointer-events: none; }
+        .legend { padding: 12px 16px; background: #f8fafc; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; display: flex; gap: 16px; }
+        .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2 style="margin: 0; font-size: 24px;">🗺️ Project Timeline</h2>
+          <p style="margin: 8px 0 0 0; opacity: 0.9;">${format(rangeStart, 'MMM dd, yyyy')} – ${format(rangeEnd, 'MMM dd, yyyy')} • ${escapeHtml(this.config.displayName)}</p>
+        </div>
+
+        <div class="timeline">
+          <div class="scale">${monthTicks}</div>
+          <div class="tracks">
+            ${groupRows || '<div style="padding: 40px; text-align: center; color: #6b7280;">No events in this range.</div>'}
+            <div class="today-layer">${todayMarker}</div>
+          </div>
+        </div>
+
+        <div class="legend">
+          <span><span class="swatch" style="background: #3b82f6;"></span>In progress</span>
+          <span><span class="swatch" style="background: #ef4444;"></span>Overdue</span>
+          <span><span class="swatch" style="background: #9ca3af;"></span>Completed</span>
+          <span><span class="swatch" style="background: #f59e0b;"></span>Today</span>
+        </div>
+      </div>
+
+      <script>
+        new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            window.parent.postMessage({
+              type: "ui-size-change",
+              payload: { height: entry.contentRect.height + 50 }
+            }, "*");
+          });
+        }).observe(document.documentElement);
+      </script>
+    </body>
+    </html>
+    `;
+  }
+
+  // Create conflict list UI: one card per conflict, most severe first
+  createConflictsUI(conflicts, rangeStart, rangeEnd, concurrencyLimit) {
+    const severityColors = { high: '#ef4444', medium: '#f59e0b', low: '#6b7280' };
+    const typeLabels = { overload: 'Overloaded', invalidRange: 'Invalid dates', unavailable: 'During time off' };
+
+    const conflictCards = conflicts.map(conflict => {
+      const color = severityColors[conflict.severity];
+      const dates = isSameDay(conflict.start, conflict.end)
+        ? format(conflict.start, 'MMM dd, yyyy')
+        : `${format(conflict.start, 'MMM dd')} – ${format(conflict.end, 'MMM dd, yyyy')}`;
+      const calendarParams = {
+        month: format(conflict.start, 'yyyy-MM'),
+        ...(conflict.login ? { assignee: conflict.login } : {}),
+      };
+      const eventLinks = conflict.events.map(event =>
+        `<li><a href="${safeUrl(event.url)}" target="_blank" style="color: #374151;">${escapeHtml(this.formatEventLabel(event))}</a></li>`
+      ).join('');
+
+      return `
+        <div class="conflict" style="border-left: 4px solid ${color};">
+          <div style="display: flex; justify-content: space-between; align-items: center;">
+            <div>
+              <span class="badge" style="background: ${color};">${conflict.severity}</span>
+              <strong>${typeLabels[conflict.type]}</strong>
+              <span style="color: #6b7280; font-size: 12px;">• ${dates}</span>
+            </div>
+            <button onclick="showCalendar(${jsArg(calendarParams)})">View in calendar</button>
+          </div>
+          <div style="margin-top: 6px; font-size: 13px; color: #374151;">${escapeHtml(conflict.message)}</div>
+          <ul style="margin: 6px 0 0 0; padding-left: 20px; font-size: 12px;">${eventLinks}</ul>
+        </div>
+      `;
+    }).join('');
+
+    const countBySeverity = (severity) => conflicts.filter(conflict => conflict.severity === severity).length;
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
+        .container { max-width: 800px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #ef4444 0%, #b91c1c 100%); color: white; padding: 20px; text-align: center; }
+        .stats { padding: 16px; background: #f8fafc; display: flex; justify-content: space-around; text-align: center; }
+        .stat-number { font-size: 24px; font-weight: bold; }
+        .stat-label { font-size: 12px; color: #6b7280; }
+        .conflicts { padding: 16px; }
+        .conflict { background: #f9fafb; border-radius: 8px; padding: 12px; margin-bottom: 12px; }
+        .badge { color: white; font-size: 10px; text-transform: uppercase; padding: 2px 6px; border-radius: 4px; margin-right: 6px; }
+        button { background: #3b82f6; color: white; border: none; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2 style="margin: 0; font-size: 24px;">⚠️ Schedule Conflicts</h2>
+          <p style="margin: 8px 0 0 0; opacity: 0.9;">${format(rangeStart, 'MMM dd, yyyy')} – ${format(rangeEnd, 'MMM dd, yyyy')} • up to ${concurrencyLimit} items per person</p>
+        </div>
+
+        <div class="stats">
+          <div><div class="stat-number" style="color: ${severityColors.high};">${countBySeverity('high')}</div><div class="stat-label">High</div></div>
+          <div><div class="stat-number" style="color: ${severityColors.medium};">${countBySeverity('medium')}</div><div class="stat-label">Medium</div></div>
+          <div><div class="stat-number" style="color: ${severityColors.low};">${countBySeverity('low')}</div><div class="stat-label">Low</div></div>
+        </div>
+
+        <div class="conflicts">
+          ${conflictCards || '<div style="padding: 40px; text-align: center; color: #6b7280;">✅ No conflicts in this range.</div>'}
+        </div>
+      </div>
+
+      <script>
+        function showCalendar(params) {
+          window.parent.postMessage({
+            type: "tool",
+            payload: { toolName: "get_calendar_events", params }
+          }, "*");
+        }
+
+        new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            window.parent.postMessage({
+              type: "ui-size-change",
+              payload: { height: entry.contentRect.height + 50 }
+            }, "*");
+          });
+        }).observe(document.documentElement);
+      </script>
+    </body>
+    </html>
+    `;
+  }
+
+  // Create velocity UI: completions per period with the rolling average, a
+  // burndown chart with the projection dashed, and a per-person table
+  createVelocityUI(report) {
+    const { buckets, people, burndown } = report;
+    const unit = report.period === 'iteration' ? 'iteration' : 'week';
+    const chartWidth = 640;
+    const chartHeight = 200;
+    const padding = 30;
+
+    // Completions bar chart
+    const maxPoints = Math.max(1, ...buckets.map(bucket => Math.max(bucket.points, bucket.rollingAverage)));
+    const slot = (chartWidth - padding * 2) / buckets.length;
+    const y = value => chartHeight - padding - (value / maxPoints) * (chartHeight - padding * 2);
+    const bars = buckets.map((bucket, index) => {
+      const x = padding + index * slot;
+      return `
+        <rect x="${x + slot * 0.15}" y="${y(bucket.points)}" width="${slot * 0.7}" height="${chartHeight - padding - y(bucket.points)}" fill="${bucket.complete ? '#3b82f6' : '#93c5fd'}"><title>${escapeHtml(bucket.label)}: ${bucket.points} pts, ${bucket.items} items</title></rect>
+        <text x="${x + slot / 2}" y="${chartHeight - padding + 14}" text-anchor="middle" font-size="10" fill="#6b7280">${escapeHtml(bucket.label)}</text>
+      `;
+    }).join('');
+    const averageLine = buckets.map((bucket, index) => `${padding + index * slot + slot / 2},${y(bucket.rollingAverage)}`).join(' ');
+
+    // Burndown line chart
+    const firstDate = burndown[0].date.getTime();
+    const lastDate = burndown[burndown.length - 1].date.getTime();
+    const maxRemaining = Math.max(1, ...burndown.map(point => point.remaining));
+    const bx = date => padding + ((date.getTime() - firstDate) / Math.max(1, lastDate - firstDate)) * (chartWidth - padding * 2);
+    const by = value => chartHeight - padding - (value / maxRemaining) * (chartHeight - padding * 2);
+    const toPoints = points => points.map(point => `${bx(point.date)},${by(point.remaining)}`).join(' ');
+    const actual = burndown.filter(point => !point.projected);
+    const projected = [actual[actual.length - 1], ...burndown.filter(point => point.projected)];
+
+    const personRows = people.map(login => {
+      const cells = buckets.map(bucket => `<td>${bucket.byPerson[login]?.points ?? '–'}</td>`).join('');
+      const total = Math.round(buckets.reduce((sum, bucket) => sum + (bucket.byPerson[login]?.points || 0), 0) * 10) / 10;
+      return `<tr><td style="text-align: left;">${escapeHtml(login)}</td>${cells}<td><strong>${total}</strong></td></tr>`;
+    }).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
+        .container { max-width: 760px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+        .stats { padding: 16px; background: #f8fafc; display: flex; justify-content: space-around; text-align: center; }
+        .stat-number { font-size: 24px; font-weight: bold; color: #3b82f6; }
+        .stat-label { font-size: 12px; color: #6b7280; }
+        .section { padding: 16px; }
+        .section-title { font-weight: 600; color: #374151; margin-bottom: 8px; }
+        .legend { font-size: 12px; color: #6b7280; display: flex; gap: 16px; margin-top: 4px; }
+        .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+        table { width: 100%; border-collapse: collapse; font-size: 12px; }
+        th, td { padding: 6px; border-bottom: 1px solid #f3f4f6; text-align: center; }
+        th { color: #6b7280; font-weight: 600; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2 style="margin: 0; font-size: 24px;">🚀 Velocity &amp; Burndown</h2>
+          <p style="margin: 8px 0 0 0; opacity: 0.9;">Last ${buckets.length} ${unit}s • ${escapeHtml(this.config.displayName)}</p>
+        </div>
+
+        <div class="stats">
+          <div><div class="stat-number">${report.velocity}</div><div class="stat-label">pts / ${unit}</div></div>
+          <div><div class="stat-number">${report.remaining.points}</div><div class="stat-label">pts open (${report.remaining.items} items)</div></div>
+          <div><div class="stat-number">${report.projectedCompletion ? format(report.projectedCompletion, 'MMM dd') : '—'}</div><div class="stat-label">Projected done</div></div>
+        </div>
+
+        <div class="section">
+          <div class="section-title">Completed per ${unit}</div>
+          <svg viewBox="0 0 ${chartWidth} ${chartHeight}" width="100%">
+            <line x1="${padding}" y1="${chartHeight - padding}" x2="${chartWidth - padding}" y2="${chartHeight - padding}" stroke="#e5e7eb" />
+            ${bars}
+            <polyline points="${averageLine}" fill="none" stroke="#f59e0b" stroke-width="2" />
+          </svg>
+          <div class="legend">
+            <span><span class="swatch" style="background: #3b82f6;"></span>Points completed</span>
+            <span><span class="swatch" style="background: #93c5fd;"></span>In progress</span>
+            <span><span class="swatch" style="background: #f59e0b;"></span>Rolling average (${report.rollingWindow})</span>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="section-title">Burndown</div>
+          <svg viewBox="0 0 ${chartWidth} ${chartHeight}" width="100%">
+            <line x1="${padding}" y1="${chartHeight - padding}" x2="${chartWidth - padding}" y2="${chartHeight - padding}" stroke="#e5e7eb" />
+            <polyline points="${toPoints(actual)}" fill="none" stroke="#3b82f6" stroke-width="2" />
+            ${projected.length > 1 ? `<polyline points="${toPoints(projected)}" fill="none" stroke="#3b82f6" stroke-width="2" stroke-dasharray="6 4" />` : ''}
+            <text x="${padding}" y="${chartHeight - padding + 14}" font-size="10" fill="#6b7280">${format(burndown[0].date, 'MMM dd')}</text>
+            <text x="${chartWidth - padding}" y="${chartHeight - padding + 14}" text-anchor="end" font-size="10" fill="#6b7280">${format(burndown[burndown.length - 1].date, 'MMM dd')}</text>
+            <text x="${padding}" y="${padding - 8}" font-size="10" fill="#6b7280">${maxRemaining} pts</text>
+          </svg>
+          <div class="legend">
+            <span><span class="swatch" style="background: #3b82f6;"></span>Open scope</span>
+            <span>- - Projected at ${report.velocity} pts / ${unit}</span>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="section-title">Points completed by person</div>
+          <table>
+            <tr><th style="text-align: left;">Person</th>${buckets.map(bucket => `<th>${escapeHtml(bucket.label)}</th>`).join('')}<th>Total</th></tr>
+            ${personRows || `<tr><td colspan="${buckets.length + 2}" style="color: #6b7280;">No completed work in this range.</td></tr>`}
+          </table>
+        </div>
+      </div>
+
+      <script>
+        new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            window.parent.postMessage({
+              type: "ui-size-change",
+              payload: { height: entry.contentRect.height + 50 }
+            }, "*");
+          });
+        }).observe(document.documentElement);
+      </script>
+    </body>
+    </html>
+    `;
+  }
+
   // Create person schedule UI
-  createPersonScheduleUI(personEvents, login, days) {
+  createPersonScheduleUI(personEvents, login, days, blockedDays = []) {
+    const blockedRanges = this.groupBlockedDays(blockedDays);
+    const blockedSection = blockedRanges.length > 0 ? `
+      <div class="blocked-days" style="background: #fffbeb; border-left: 4px solid #f59e0b; padding: 12px 16px; font-size: 13px; color: #92400e;">
+        <div style="font-weight: 600; margin-bottom: 4px;">🏖️ Unavailable ${blockedDays.length} day${blockedDays.length === 1 ? '' : 's'}</div>
+        ${blockedRanges.map(range => `<div>${escapeHtml(this.formatBlockedRange(range))}</div>`).join('')}
+      </div>
+    ` : '';
+
     if (personEvents.length === 0) {
       return `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="UTF-8">
+        <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <style>
           body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -683,14 +3541,15 @@ class GitHubCalendarMCPServer {
       <body>
         <div class="container">
           <div class="header">
-            <h2 style="margin: 0; font-size: 24px;">📅 Schedule for ${login}</h2>
+            <h2 style="margin: 0; font-size: 24px;">📅 Schedule for ${escapeHtml(login)}</h2>
             <p style="margin: 8px 0 0 0; opacity: 0.9;">Next ${days} days</p>
           </div>
+          ${blockedSection}
           
           <div class="empty-state">
             <div class="empty-icon">🏖️</div>
             <h3 style="margin: 0 0 8px 0; color: #374151;">No upcoming work!</h3>
-            <p style="margin: 0;">${login} has a clear schedule for the next ${days} days.</p>
+            <p style="margin: 0;">${escapeHtml(login)} has a clear schedule for the next ${days} days.</p>
           </div>
         </div>
 
@@ -713,14 +3572,14 @@ class GitHubCalendarMCPServer {
       const startStr = format(event.startDate, 'MMM dd, yyyy');
       const endStr = event.endDate ? format(event.endDate, 'MMM dd, yyyy') : 'No end date';
       const statusColor = event.status === 'open' ? '#10b981' : '#6b7280';
-      const isOverdue = event.endDate && event.endDate < new Date();
+      const isOverdue = event.endDate && event.endDate < this.now();
       const urgencyColor = isOverdue ? '#ef4444' : '#3b82f6';
       
       return `
         <div class="event-card" style="background: white; border-radius: 8px; padding: 16px; margin: 12px 0; box-shadow: 0 2px 8px rgba(0,0,0,0.1); border-left: 4px solid ${urgencyColor};">
           <div style="display: flex; justify-content: between; align-items: start; margin-bottom: 12px;">
-            <h3 style="margin: 0; color: #1f2937; font-size: 16px; flex: 1;">${event.title}</h3>
-            <span style="background: ${statusColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 500; margin-left: 12px;">${event.status}</span>
+            <h3 style="margin: 0; color: #1f2937; font-size: 16px; flex: 1;">${ITEM_TYPE_ICONS[event.type]}${escapeHtml(event.title)}</h3>
+            <span style="background: ${statusColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 500; margin-left: 12px;">${event.pullRequest ? event.pullRequest.status : event.status}</span>
           </div>
           
           <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; margin-bottom: 12px;">
@@ -739,7 +3598,7 @@ class GitHubCalendarMCPServer {
               <div style="font-size: 12px; color: #6b7280; margin-bottom: 4px;">Collaborators</div>
               <div style="display: flex; gap: 4px;">
                 ${event.assignees.slice(1).map(assignee => `
-                  <img src="${assignee.avatar_url}" alt="${assignee.login}" style="width: 24px; height: 24px; border-radius: 50%;" title="${assignee.login}">
+                  <img src="${safeUrl(assignee.avatar_url)}" alt="${escapeHtml(assignee.login)}" style="width: 24px; height: 24px; border-radius: 50%;" title="${escapeHtml(assignee.login)}">
                 `).join('')}
               </div>
             </div>
@@ -747,7 +3606,7 @@ class GitHubCalendarMCPServer {
           
           <div style="display: flex; justify-content: space-between; align-items: center;">
             ${isOverdue ? '<span style="color: #ef4444; font-size: 12px; font-weight: 500;">⚠️ Overdue</span>' : '<span></span>'}
-            <a href="${event.url}" target="_blank" style="color: #3b82f6; text-decoration: none; font-size: 12px; font-weight: 500;">View Issue →</a>
+            <a href="${safeUrl(event.url)}" target="_blank" style="color: #3b82f6; text-decoration: none; font-size: 12px; font-weight: 500;">View Issue →</a>
           </div>
         </div>
       `;
@@ -756,7 +3615,7 @@ class GitHubCalendarMCPServer {
     const stats = {
       total: personEvents.length,
       open: personEvents.filter(e => e.status === 'open').length,
-      overdue: personEvents.filter(e => e.endDate && e.endDate < new Date()).length
+      overdue: personEvents.filter(e => e.endDate && e.endDate < this.now()).length
     };
 
     return `
@@ -764,6 +3623,7 @@ class GitHubCalendarMCPServer {
     <html>
     <head>
       <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <style>
         body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -779,7 +3639,7 @@ class GitHubCalendarMCPServer {
     <body>
       <div class="container">
         <div class="header">
-          <h2 style="margin: 0; font-size: 24px;">📅 Schedule for ${login}</h2>
+          <h2 style="margin: 0; font-size: 24px;">📅 Schedule for ${escapeHtml(login)}</h2>
           <p style="margin: 8px 0 0 0; opacity: 0.9;">Next ${days} days</p>
         </div>
         
@@ -797,6 +3657,7 @@ class GitHubCalendarMCPServer {
             <div class="stat-label">Overdue</div>
           </div>
         </div>
+        ${blockedSection}
 
         <div class="events">
           ${eventCards}
@@ -820,14 +3681,9 @@ class GitHubCalendarMCPServer {
 
   // Create workload analysis UI
   createWorkloadAnalysisUI(workloadAnalysis) {
-    const maxWorkload = Math.max(...workloadAnalysis.map(m => m.totalWorkload), 1);
-    
     const analysisCards = workloadAnalysis.map((member, index) => {
-      const workloadLevel = member.totalWorkload <= 2 ? 'Light' : 
-                           member.totalWorkload <= 4 ? 'Moderate' : 'Heavy';
-      const levelColor = member.totalWorkload <= 2 ? '#10b981' : 
-                        member.totalWorkload <= 4 ? '#f59e0b' : '#ef4444';
-      const workloadPercentage = (member.totalWorkload / maxWorkload) * 100;
+      const { label: workloadLevel, color: levelColor } = this.getWorkloadLevel(member);
+      const workloadPercentage = member.utilization === null ? 100 : Math.min(member.utilization, 100);
       
       return `
         <div class="analysis-card" style="background: white; border-radius: 8px; padding: 16px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); margin: 8px 0;">
@@ -835,14 +3691,14 @@ class GitHubCalendarMCPServer {
             <div style="background: ${levelColor}; color: white; border-radius: 50%; width: 32px; height: 32px; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 12px;">
               ${index + 1}
             </div>
-            <img src="${member.avatar_url}" alt="${member.login}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 12px;">
+            <img src="${safeUrl(member.avatar_url)}" alt="${escapeHtml(member.login)}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 12px;">
             <div style="flex: 1;">
-              <h3 style="margin: 0; font-size: 16px; color: #1f2937;">${member.login}</h3>
+              <h3 style="margin: 0; font-size: 16px; color: #1f2937;">${escapeHtml(member.login)}</h3>
               <span style="background: ${levelColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 500;">${workloadLevel}</span>
             </div>
             <div style="text-align: right;">
-              <div style="font-size: 24px; font-weight: bold; color: ${levelColor};">${member.totalWorkload}</div>
-              <div style="font-size: 12px; color: #6b7280;">issues</div>
+              <div style="font-size: 24px; font-weight: bold; color: ${levelColor};">${member.utilization === null ? '—' : `${member.utilization}%`}</div>
+              <div style="font-size: 12px; color: #6b7280;">${member.totalWorkload} / ${member.capacity} pts</div>
             </div>
           </div>
           
@@ -870,15 +3726,16 @@ class GitHubCalendarMCPServer {
       `;
     }).join('');
 
-    const totalIssues = workloadAnalysis.reduce((sum, m) => sum + m.totalWorkload, 0);
+    const totalIssues = Math.round(workloadAnalysis.reduce((sum, m) => sum + m.totalWorkload, 0) * 10) / 10;
     const avgWorkload = workloadAnalysis.length > 0 ? (totalIssues / workloadAnalysis.length).toFixed(1) : 0;
-    const overloadedMembers = workloadAnalysis.filter(m => m.totalWorkload > 4).length;
+    const overloadedMembers = workloadAnalysis.filter(m => this.getWorkloadLevel(m).label === 'Heavy').length;
 
     return `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <style>
         body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -894,7 +3751,7 @@ class GitHubCalendarMCPServer {
       <div class="container">
         <div class="header">
           <h2 style="margin: 0; font-size: 24px;">📊 Team Workload Analysis</h2>
-          <p style="margin: 8px 0 0 0; opacity: 0.9;">Current capacity and distribution</p>
+          <p style="margin: 8px 0 0 0; opacity: 0.9;">Current capacity and distribution • ${escapeHtml(this.config.displayName)}</p>
         </div>
         
         <div class="summary">
@@ -904,7 +3761,7 @@ class GitHubCalendarMCPServer {
           </div>
           <div class="summary-card">
             <div class="summary-number">${totalIssues}</div>
-            <div class="summary-label">Total Issues</div>
+            <div class="summary-label">Total Points</div>
           </div>
           <div class="summary-card">
             <div class="summary-number">${avgWorkload}</div>
@@ -936,44 +3793,48 @@ class GitHubCalendarMCPServer {
     `;
   }
 
-  // Create best assignee recommendation UI
-  createBestAssigneeUI(bestAssignee, allMembers) {
+  // Create best assignee recommendation UI. `assignParams` are the
+  // assign_issue arguments identifying the issue, when one was given.
+  createBestAssigneeUI(bestAssignee, allMembers, assignParams = null) {
     const recommendationCard = `
       <div class="recommendation-card" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; border-radius: 12px; padding: 24px; text-align: center; margin-bottom: 24px;">
         <div style="font-size: 48px; margin-bottom: 16px;">🎯</div>
         <h2 style="margin: 0 0 8px 0; font-size: 24px;">Recommended Assignee</h2>
         <div style="display: flex; align-items: center; justify-content: center; margin: 16px 0;">
-          <img src="${bestAssignee.avatar_url}" alt="${bestAssignee.login}" style="width: 60px; height: 60px; border-radius: 50%; margin-right: 16px; border: 3px solid rgba(255,255,255,0.3);">
+          <img src="${safeUrl(bestAssignee.avatar_url)}" alt="${escapeHtml(bestAssignee.login)}" style="width: 60px; height: 60px; border-radius: 50%; margin-right: 16px; border: 3px solid rgba(255,255,255,0.3);">
           <div>
-            <h3 style="margin: 0; font-size: 20px;">${bestAssignee.login}</h3>
-            <p style="margin: 4px 0 0 0; opacity: 0.9;">Lightest workload</p>
+            <h3 style="margin: 0; font-size: 20px;">${escapeHtml(bestAssignee.login)}</h3>
+            <p style="margin: 4px 0 0 0; opacity: 0.9;">Score ${bestAssignee.score.toFixed(2)} • ${this.formatUtilization(bestAssignee)} • ${bestAssignee.availability}% available</p>
           </div>
         </div>
+        <button onclick="assignToRecommended()" style="background: white; color: #059669; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 600;">
+          ✅ ${assignParams ? `Assign #${escapeHtml(assignParams.issueNumber)} to ${escapeHtml(bestAssignee.login)}` : `Assign to ${escapeHtml(bestAssignee.login)}`}
+        </button>
       </div>
     `;
 
-    const workloadComparison = allMembers.slice(0, 5).map((member, index) => {
+    const workloadComparison = allMembers.map((member, index) => {
       const isRecommended = member.login === bestAssignee.login;
-      const workloadLevel = member.totalWorkload <= 2 ? 'Light' : 
-                           member.totalWorkload <= 4 ? 'Moderate' : 'Heavy';
-      const levelColor = member.totalWorkload <= 2 ? '#10b981' : 
-                        member.totalWorkload <= 4 ? '#f59e0b' : '#ef4444';
+      const { label: workloadLevel, color: levelColor } = this.getWorkloadLevel(member);
       
       return `
         <div class="comparison-card" style="background: ${isRecommended ? '#f0fdf4' : 'white'}; border: 2px solid ${isRecommended ? '#10b981' : '#e5e7eb'}; border-radius: 8px; padding: 16px; margin: 8px 0;">
           <div style="display: flex; align-items: center; margin-bottom: 12px;">
             ${isRecommended ? '<div style="background: #10b981; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: bold; margin-right: 12px;">✓</div>' : `<div style="background: #f3f4f6; color: #6b7280; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: bold; margin-right: 12px;">${index + 1}</div>`}
-            <img src="${member.avatar_url}" alt="${member.login}" style="width: 32px; height: 32px; border-radius: 50%; margin-right: 12px;">
+            <img src="${safeUrl(member.avatar_url)}" alt="${escapeHtml(member.login)}" style="width: 32px; height: 32px; border-radius: 50%; margin-right: 12px;">
             <div style="flex: 1;">
-              <h4 style="margin: 0; color: #1f2937;">${member.login}</h4>
+              <h4 style="margin: 0; color: #1f2937;">${escapeHtml(member.login)}</h4>
               <span style="background: ${levelColor}; color: white; padding: 1px 6px; border-radius: 8px; font-size: 11px;">${workloadLevel}</span>
+              ${member.unavailableDays > 0 ? `<span style="color: #92400e; font-size: 11px; margin-left: 4px;">🏖️ ${member.unavailableDays} days out</span>` : ''}
             </div>
             <div style="text-align: right;">
-              <div style="font-size: 18px; font-weight: bold; color: ${levelColor};">${member.totalWorkload}</div>
-              <div style="font-size: 10px; color: #6b7280;">issues</div>
+              <div style="font-size: 18px; font-weight: bold; color: ${levelColor};">${member.utilization === null ? '—' : `${member.utilization}%`}</div>
+              <div style="font-size: 10px; color: #6b7280;">${member.totalWorkload} pts</div>
             </div>
           </div>
           
+          <div style="font-size: 11px; color: #6b7280; margin-bottom: 8px;">Score ${member.score.toFixed(2)} • ${escapeHtml(member.explanation)}</div>
+
           <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; font-size: 12px; text-align: center;">
             <div>
               <span style="font-weight: bold; color: #3b82f6;">${member.activeIssues}</span>
@@ -997,6 +3858,7 @@ class GitHubCalendarMCPServer {
     <html>
     <head>
       <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <style>
         body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -1008,7 +3870,7 @@ class GitHubCalendarMCPServer {
         ${recommendationCard}
         
         <div style="background: white; border-radius: 12px; padding: 20px; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
-          <h3 style="margin: 0 0 16px 0; color: #1f2937;">Team Workload Comparison</h3>
+          <h3 style="margin: 0 0 16px 0; color: #1f2937;">Top Candidates</h3>
           ${workloadComparison}
         </div>
       </div>
@@ -1022,6 +3884,23 @@ class GitHubCalendarMCPServer {
             }, "*");
           });
         }).observe(document.documentElement);
+
+        // Assign directly when we know the issue, otherwise ask which one
+        function assignToRecommended() {
+          const login = ${scriptValue(bestAssignee.login)};
+          const assignParams = ${scriptValue(assignParams)};
+          if (assignParams) {
+            window.parent.postMessage({
+              type: "tool",
+              payload: { toolName: "assign_issue", params: { ...assignParams, assignees: [login] } }
+            }, "*");
+          } else {
+            window.parent.postMessage({
+              type: "prompt",
+              payload: { prompt: \`Assign an issue to \${login}\` }
+            }, "*");
+          }
+        }
       </script>
     </body>
     </html>
@@ -1031,17 +3910,14 @@ class GitHubCalendarMCPServer {
   // Create team status dashboard UI
   createTeamStatusUI(workloadAnalysis) {
     const teamCards = workloadAnalysis.map(member => {
-      const workloadLevel = member.totalWorkload <= 2 ? 'Light' : 
-                           member.totalWorkload <= 4 ? 'Moderate' : 'Heavy';
-      const levelColor = member.totalWorkload <= 2 ? '#10b981' : 
-                        member.totalWorkload <= 4 ? '#f59e0b' : '#ef4444';
+      const { label: workloadLevel, color: levelColor } = this.getWorkloadLevel(member);
       
       return `
         <div class="team-card" style="background: white; border-radius: 8px; padding: 16px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); margin: 8px;">
           <div style="display: flex; align-items: center; margin-bottom: 12px;">
-            <img src="${member.avatar_url}" alt="${member.login}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 12px;">
+            <img src="${safeUrl(member.avatar_url)}" alt="${escapeHtml(member.login)}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 12px;">
             <div>
-              <h3 style="margin: 0; font-size: 16px; color: #1f2937;">${member.login}</h3>
+              <h3 style="margin: 0; font-size: 16px; color: #1f2937;">${escapeHtml(member.login)}</h3>
               <span style="background: ${levelColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 500;">${workloadLevel}</span>
             </div>
           </div>
@@ -1060,8 +3936,8 @@ class GitHubCalendarMCPServer {
               <div style="font-size: 12px; color: #6b7280;">Overdue</div>
             </div>
             <div class="stat">
-              <div style="font-size: 20px; font-weight: bold; color: #8b5cf6;">${member.totalWorkload}</div>
-              <div style="font-size: 12px; color: #6b7280;">Total</div>
+              <div style="font-size: 20px; font-weight: bold; color: #8b5cf6;">${member.utilization === null ? '—' : `${member.utilization}%`}</div>
+              <div style="font-size: 12px; color: #6b7280;">Utilization (${member.totalWorkload} pts)</div>
             </div>
           </div>
         </div>
@@ -1073,6 +3949,7 @@ class GitHubCalendarMCPServer {
     <html>
     <head>
       <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <style>
         body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
@@ -1085,7 +3962,7 @@ class GitHubCalendarMCPServer {
       <div class="container">
         <div class="header">
           <h2 style="color: #1f2937; margin: 0;">👥 Team Status Dashboard</h2>
-          <p style="color: #6b7280; margin: 8px 0 0 0;">Current workload distribution across team members</p>
+          <p style="color: #6b7280; margin: 8px 0 0 0;">Current workload distribution across ${escapeHtml(this.config.displayName)} team members</p>
         </div>
         
         <div class="team-grid">
@@ -1109,8 +3986,141 @@ class GitHubCalendarMCPServer {
     `;
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  // Compact daily digest card: change counts, then each person's changes
+  createDailyDigestUI(digest) {
+    const counters = Object.entries(DIGEST_CHANGES).map(([kind, { label, icon }]) => `
+      <div style="flex: 1; min-width: 80px; text-align: center; padding: 8px; background: #f8fafc; border-radius: 6px;">
+        <div style="font-size: 18px; font-weight: bold; color: ${digest.counts[kind] > 0 ? '#1f2937' : '#9ca3af'};">${icon} ${digest.counts[kind]}</div>
+        <div style="font-size: 11px; color: #6b7280;">${label}</div>
+      </div>
+    `).join('');
+
+    const personSections = digest.people.map(person => `
+      <div style="padding: 10px 0; border-top: 1px solid #e5e7eb;">
+        <div style="font-size: 13px; font-weight: 600; color: #1f2937; margin-bottom: 6px;">${escapeHtml(person.login)}</div>
+        ${person.changes.map(change => `
+          <div style="display: flex; gap: 6px; font-size: 12px; color: #374151; margin: 3px 0;">
+            <span title="${DIGEST_CHANGES[change.kind].label}">${DIGEST_CHANGES[change.kind].icon}</span>
+            <span>
+              <a href="#" onclick="viewItem(${jsArg(change.event.url)}); return false;" style="color: #2563eb; text-decoration: none;">${escapeHtml(change.event.title)}</a>
+              ${change.from !== null ? `<span style="color: #6b7280;">${escapeHtml(change.from)} → ${escapeHtml(change.to)}</span>` : ''}
+            </span>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta http-equiv="Content-Security-Policy" content="${UI_CONTENT_SECURITY_POLICY}">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 16px; background: #f8fafc; }
+        .card { max-width: 560px; margin: 0 auto; background: white; border-radius: 8px; padding: 16px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        <h3 style="margin: 0; font-size: 16px; color: #1f2937;">📰 Daily Digest</h3>
+        <p style="margin: 4px 0 12px 0; font-size: 12px; color: #6b7280;">${escapeHtml(this.config.displayName)} since ${format(digest.since, 'EEE, MMM dd HH:mm')}</p>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 8px;">
+          ${counters}
+        </div>
+        ${personSections || '<div style="padding: 12px 0 0 0; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; text-align: center;">No changes.</div>'}
+      </div>
+
+      <script>
+        // Auto-resize the iframe to fit content
+        new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            window.parent.postMessage({
+              type: "ui-size-change",
+              payload: { height: entry.contentRect.height + 50 }
+            }, "*");
+          });
+        }).observe(document.documentElement);
+
+        function viewItem(url) {
+          window.parent.postMessage({
+            type: "link",
+            payload: { url }
+          }, "*");
+        }
+      </script>
+    </body>
+    </html>
+    `;
+  }
+
+  // Plain-JSON forms of events, members and conflicts for structured results
+  toItemRef(event) {
+    return { id: event.id, title: event.title, url: event.url };
+  }
+
+  toEventResult(event) {
+    return {
+      ...this.toItemRef(event),
+      type: event.type,
+      status: event.status,
+      projectStatus: event.projectStatus ?? null,
+      pullRequestStatus: event.pullRequest?.status ?? null,
+      startDate: format(event.startDate, 'yyyy-MM-dd'),
+      endDate: event.endDate ? format(event.endDate, 'yyyy-MM-dd') : null,
+      overdue: Boolean(this.isOverdue(event)),
+      assignees: event.assignees.map(assignee => assignee.login),
+      labels: event.labels.map(label => label.name),
+      estimate: event.estimate ?? null,
+      priority: event.priority ?? null,
+      iteration: event.iteration?.title ?? null,
+      source: event.source.name,
+    };
+  }
+
+  toMemberResult(member) {
+    return {
+      login: member.login,
+      activeIssues: member.activeIssues,
+      upcomingIssues: member.upcomingIssues,
+      overdueIssues: member.overdueIssues,
+      unestimatedIssues: member.unestimatedIssues,
+      workload: member.totalWorkload,
+      capacity: member.capacity,
+      weeklyCapacity: member.weeklyCapacity,
+      utilization: member.utilization,
+      workloadLevel: member.workloadLevel,
+      availability: member.availability,
+      unavailableDays: member.unavailableDays,
+    };
+  }
+
+  toConflictResult(conflict) {
+    return {
+      type: conflict.type,
+      severity: conflict.severity,
+      login: conflict.login,
+      start: format(conflict.start, 'yyyy-MM-dd'),
+      end: format(conflict.end, 'yyyy-MM-dd'),
+      message: conflict.message,
+      items: conflict.events.map(event => this.toItemRef(event)),
+    };
+  }
+
+  // Shape the content blocks for the requested format. structuredContent is
+  // kept as is: clients validate it against the tool's outputSchema.
+  applyResultFormat(result, resultFormat) {
+    if (result.isError || !result.structuredContent || resultFormat === 'markdown') return result;
+    const json = { type: 'text', text: JSON.stringify(result.structuredContent, null, 2) };
+    return {
+      ...result,
+      content: resultFormat === 'json' ? [json] : [...result.content, json],
+    };
+  }
+
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
           {
@@ -1118,8 +4128,15 @@ class GitHubCalendarMCPServer {
             description: 'Get current status of the development team including active issues, due items, and recent completions for each team member',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
             },
+            outputSchema: toolOutputSchema({
+              members: { type: 'array', items: MEMBER_RESULT_SCHEMA },
+            }),
           },
           {
             name: 'get_person_schedule',
@@ -1132,76 +4149,620 @@ class GitHubCalendarMCPServer {
                   description: 'GitHub username of the team member',
                 },
                 days: {
-                  type: 'number',
+                  type: 'integer',
+                  minimum: 1,
                   description: 'Number of days to look ahead (default: 7)',
                   default: 7,
                 },
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+              required: ['login'],
+            },
+            outputSchema: toolOutputSchema({
+              login: { type: 'string' },
+              days: { type: 'number' },
+              events: { type: 'array', items: EVENT_RESULT_SCHEMA },
+              unavailable: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { start: DATE_SCHEMA, end: DATE_SCHEMA, summary: { type: 'string' }, teamWide: { type: 'boolean' } },
+                },
+              },
+            }),
+          },
+          {
+            name: 'analyze_workload',
+            description: 'Analyze team workload distribution and identify who can take on new tasks',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              availabilityWindowDays: { type: 'number' },
+              members: { type: 'array', items: MEMBER_RESULT_SCHEMA },
+            }),
+          },
+          {
+            name: 'find_best_assignee',
+            description: 'Recommend team members for a new task, ranked by spare capacity and by experience with issues carrying the same labels',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issueNumber: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Issue being assigned; its labels are used for matching and the UI can assign it in one click',
+                },
+                repository: {
+                  type: 'string',
+                  description: 'Repository of the issue as owner/name (only needed when the issue number is ambiguous)',
+                },
+                labels: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Labels of the new task, matched against labels on issues each person has completed',
+                },
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Number of candidates to return (default: 3)',
+                  default: 3,
+                },
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              issue: { anyOf: [ITEM_REF_SCHEMA, { type: 'null' }] },
+              labels: { type: 'array', items: { type: 'string' }, description: 'Labels matched against completed work' },
+              recommendation: { type: ['string', 'null'], description: 'Login of the top candidate' },
+              candidates: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    ...MEMBER_RESULT_SCHEMA.properties,
+                    score: { type: 'number' },
+                    loadScore: { type: 'number' },
+                    skillScore: { type: 'number' },
+                    explanation: { type: 'string' },
+                  },
+                },
+              },
+            }),
+          },
+          {
+            name: 'get_calendar_events',
+            description: 'Get GitHub project calendar events with optional filtering',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                org: {
+                  type: 'string',
+                  description: `Read a single project in this GitHub organization instead of the configured data sources (project default: ${this.config.projectNumber})`,
+                },
+                project: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: `Read this project number instead of the configured data sources (org default: ${this.config.org})`,
+                },
+                since: {
+                  type: 'string',
+                  description: `ISO date string to filter events from (default: ${this.config.since || `last ${this.config.lookbackDays} days`})`,
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Filter events by assignee GitHub username',
+                },
+                month: {
+                  type: 'string',
+                  description: 'Month to show as YYYY-MM (default: current month)',
+                },
+                start: {
+                  type: 'string',
+                  description: 'ISO date; show the period starting here instead of a month',
+                },
+                end: {
+                  type: 'string',
+                  description: 'ISO date; with start, only list events up to this date',
+                },
+                view: {
+                  type: 'string',
+                  enum: ['month', 'week'],
+                  description: 'Render a month or a week grid (default: month)',
+                  default: 'month',
+                },
+                types: TYPES_PROPERTY,
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              range: {
+                type: ['object', 'null'],
+                properties: { start: DATE_SCHEMA, end: DATE_SCHEMA },
+                description: 'Period the events were limited to, when month, start or end was given',
+              },
+              events: { type: 'array', items: EVENT_RESULT_SCHEMA },
+              conflictCount: { type: 'number', description: 'Scheduling conflicts in the rendered period' },
+            }),
+          },
+          {
+            name: 'get_timeline',
+            description: 'Show a Gantt-style timeline of project work with one bar per event from start to end date, grouped by assignee or status',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                start: {
+                  type: 'string',
+                  description: 'ISO date where the timeline begins (default: 30 days ago)',
+                },
+                end: {
+                  type: 'string',
+                  description: 'ISO date where the timeline ends (default: 90 days from now)',
+                },
+                groupBy: {
+                  type: 'string',
+                  enum: TIMELINE_GROUPS,
+                  description: 'Group rows by assignee, status or originating project (default: assignee)',
+                  default: 'assignee',
+                },
+                includeClosed: {
+                  type: 'boolean',
+                  description: 'Include completed work (default: true)',
+                  default: true,
+                },
+                types: TYPES_PROPERTY,
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              start: DATE_SCHEMA,
+              end: DATE_SCHEMA,
+              groupBy: { type: 'string' },
+              overdueCount: { type: 'number' },
+              groups: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { name: { type: 'string' }, events: { type: 'array', items: EVENT_RESULT_SCHEMA } },
+                },
+              },
+            }),
+          },
+          {
+            name: 'detect_conflicts',
+            description: 'Find scheduling conflicts: people with more concurrent items than the limit, items whose end date is before their start date, and items scheduled while their assignee is unavailable',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                start: {
+                  type: 'string',
+                  description: 'ISO date where the scan begins (default: today)',
+                },
+                end: {
+                  type: 'string',
+                  description: 'ISO date where the scan ends (default: 60 days from now)',
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Only report conflicts for this GitHub username',
+                },
+                concurrencyLimit: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: `Open items one person can have on the same day before it is a conflict (default: ${this.config.maxConcurrentItems})`,
+                  default: this.config.maxConcurrentItems,
+                },
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              start: DATE_SCHEMA,
+              end: DATE_SCHEMA,
+              concurrencyLimit: { type: 'number' },
+              conflicts: { type: 'array', items: CONFLICT_RESULT_SCHEMA },
+            }),
+          },
+          {
+            name: 'get_velocity_report',
+            description: 'Report completed work per week or per iteration, team-wide and per person, with a rolling average and a projected burndown of the remaining open scope',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                period: {
+                  type: 'string',
+                  enum: ['week', 'iteration'],
+                  description: 'Bucket completions by calendar week or by project iteration (default: week)',
+                  default: 'week',
+                },
+                periods: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Number of past periods to include (default: 8)',
+                  default: 8,
+                },
+                rollingWindow: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Periods averaged for the rolling average and burndown pace (default: 3)',
+                  default: 3,
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Only count work assigned to this GitHub username',
+                },
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              period: { type: 'string', enum: ['week', 'iteration'] },
+              rollingWindow: { type: 'number' },
+              velocity: { type: 'number', description: 'Points per period, averaged over the rolling window' },
+              buckets: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    label: { type: 'string' },
+                    start: DATE_SCHEMA,
+                    end: DATE_SCHEMA,
+                    complete: { type: 'boolean' },
+                    items: { type: 'number' },
+                    points: { type: 'number' },
+                    rollingAverage: { type: 'number' },
+                    byPerson: {
+                      type: 'object',
+                      additionalProperties: {
+                        type: 'object',
+                        properties: { items: { type: 'number' }, points: { type: 'number' } },
+                      },
+                    },
+                  },
+                },
+              },
+              remaining: {
+                type: 'object',
+                properties: { items: { type: 'number' }, points: { type: 'number' } },
+              },
+              burndown: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { date: DATE_SCHEMA, remaining: { type: 'number' }, projected: { type: 'boolean' } },
+                },
+              },
+              projectedCompletion: NULLABLE_DATE_SCHEMA,
+            }),
+          },
+          {
+            name: 'list_project_fields',
+            description: 'List the fields defined on the GitHub project and which calendar property (start, end, status, estimate, priority, iteration) each one maps to',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                org: {
+                  type: 'string',
+                  description: `GitHub organization name (default: ${this.config.org})`,
+                  default: this.config.org,
+                },
+                project: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: `GitHub project number (default: ${this.config.projectNumber})`,
+                  default: this.config.projectNumber,
+                },
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              org: { type: 'string' },
+              project: { type: 'number' },
+              title: { type: 'string' },
+              fields: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    dataType: { type: 'string' },
+                    role: { type: ['string', 'null'] },
+                    options: { type: 'array', items: { type: 'string' } },
+                  },
+                },
+              },
+              mapping: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    role: { type: 'string', enum: FIELD_ROLES },
+                    field: { type: ['string', 'null'] },
+                    configuredAs: { type: ['string', 'null'] },
+                  },
+                },
+              },
+            }),
+          },
+          {
+            name: 'reschedule_event',
+            description: 'Change the start and/or end date of a project item by writing its Projects v2 date fields',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issueNumber: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Issue number of the project item to reschedule',
+                },
+                itemId: {
+                  type: 'string',
+                  description: 'Projects v2 item id (use for draft issues, or when the issue is on several boards)',
+                },
+                repository: {
+                  type: 'string',
+                  description: 'Repository of the issue as owner/name (only needed when the issue number is ambiguous)',
+                },
+                start: {
+                  type: 'string',
+                  description: 'New start date (ISO date, e.g. 2025-10-14)',
+                },
+                end: {
+                  type: 'string',
+                  description: 'New end date (ISO date, e.g. 2025-10-21)',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Show the before/after dates without writing them (default: false)',
+                  default: false,
+                },
+                projects: PROJECTS_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+            },
+            outputSchema: toolOutputSchema({
+              item: {
+                type: 'object',
+                properties: { itemId: { type: 'string' }, number: { type: ['number', 'null'] }, title: { type: 'string' }, url: { type: 'string' } },
+              },
+              dryRun: { type: 'boolean' },
+              changes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    role: { type: 'string', enum: ['start', 'end'] },
+                    fieldName: { type: 'string' },
+                    before: NULLABLE_DATE_SCHEMA,
+                    after: DATE_SCHEMA,
+                  },
+                },
+              },
+            }),
+          },
+          {
+            name: 'assign_issue',
+            description: 'Assign a project issue to one or more team members, optionally to the find_best_assignee recommendation',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issueNumber: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Issue number to assign',
+                },
+                repository: {
+                  type: 'string',
+                  description: 'Repository as owner/name (only needed when the issue number is ambiguous)',
+                },
+                assignees: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'GitHub usernames to assign',
+                },
+                useRecommendation: {
+                  type: 'boolean',
+                  description: 'Assign the team member find_best_assignee recommends (default: false)',
+                  default: false,
+                },
+                replace: {
+                  type: 'boolean',
+                  description: 'Replace existing assignees instead of adding to them (default: false)',
+                  default: false,
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Show the resulting assignees without changing the issue (default: false)',
+                  default: false,
+                },
+                projects: PROJECTS_PROPERTY,
+                format: FORMAT_PROPERTY,
+              },
+              required: ['issueNumber'],
+            },
+            outputSchema: toolOutputSchema({
+              issue: {
+                type: 'object',
+                properties: { number: { type: 'number' }, title: { type: 'string' }, url: { type: 'string' } },
+              },
+              dryRun: { type: 'boolean' },
+              before: { type: 'array', items: { type: 'string' } },
+              after: { type: 'array', items: { type: 'string' } },
+              recommendation: { type: ['string', 'null'] },
+            }),
+          },
+          {
+            name: 'export_ical',
+            description: 'Export project events as an iCalendar (.ics) file that can be subscribed to or imported into calendar apps',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                assignee: {
+                  type: 'string',
+                  description: 'Only include events assigned to this GitHub username',
+                },
+                label: {
+                  type: 'string',
+                  description: 'Only include events carrying this label',
+                },
+                start: {
+                  type: 'string',
+                  description: 'ISO date; only include events that end on or after this date',
+                },
+                end: {
+                  type: 'string',
+                  description: 'ISO date; only include events that start on or before this date',
+                },
+                types: TYPES_PROPERTY,
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
               },
-              required: ['login'],
-            },
-          },
-          {
-            name: 'analyze_workload',
-            description: 'Analyze team workload distribution and identify who can take on new tasks',
-            inputSchema: {
-              type: 'object',
-              properties: {},
             },
+            outputSchema: toolOutputSchema({
+              eventCount: { type: 'number' },
+              ical: { type: 'string', description: 'iCalendar (text/calendar) document' },
+            }),
           },
           {
-            name: 'find_best_assignee',
-            description: 'Find the team member with the lightest workload for assigning new tasks',
+            name: 'get_api_status',
+            description: 'Show remaining GitHub API quota and reset times for REST, search and GraphQL, plus request, retry and GraphQL cost totals for this server session',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                format: FORMAT_PROPERTY,
+              },
             },
+            outputSchema: toolOutputSchema({
+              source: { type: 'string', description: '"live", or why the last seen limits are shown' },
+              rateLimits: {
+                type: 'object',
+                additionalProperties: {
+                  type: 'object',
+                  properties: {
+                    limit: { type: 'number' },
+                    remaining: { type: 'number' },
+                    used: { type: 'number' },
+                    reset: { type: 'string', format: 'date-time' },
+                  },
+                },
+              },
+              session: {
+                type: 'object',
+                properties: {
+                  requests: { type: 'number' },
+                  retries: { type: 'number' },
+                  graphqlCost: { type: 'number' },
+                },
+              },
+              maxRetries: { type: 'number' },
+            }),
           },
           {
-            name: 'get_calendar_events',
-            description: 'Get GitHub project calendar events with optional filtering',
+            name: 'get_daily_digest',
+            description: 'Summarize what changed since a point in time, grouped by person: new, closed and reopened items, date changes, reassignments and project status moves',
             inputSchema: {
               type: 'object',
               properties: {
-                org: {
-                  type: 'string',
-                  description: 'GitHub organization name (default: squareup)',
-                  default: DEFAULT_ORG,
-                },
-                project: {
-                  type: 'number',
-                  description: 'GitHub project number (default: 333)',
-                  default: DEFAULT_PROJECT_NUMBER,
-                },
                 since: {
                   type: 'string',
-                  description: 'ISO date string to filter events from (default: 2025-08-01)',
-                },
-                assignee: {
-                  type: 'string',
-                  description: 'Filter events by assignee GitHub username',
+                  description: 'ISO date or timestamp to report changes from (default: start of the previous working day)',
                 },
+                projects: PROJECTS_PROPERTY,
+                refresh: REFRESH_PROPERTY,
+                format: FORMAT_PROPERTY,
               },
             },
+            outputSchema: toolOutputSchema({
+              since: { type: 'string', format: 'date-time' },
+              trackedSince: {
+                type: ['string', 'null'],
+                format: 'date-time',
+                description: 'Start of the item history that date changes and project status moves are detected from',
+              },
+              counts: {
+                type: 'object',
+                properties: Object.fromEntries(Object.keys(DIGEST_CHANGES).map(kind => [kind, { type: 'number' }])),
+              },
+              people: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    login: { type: 'string', description: 'GitHub username, or "Unassigned"' },
+                    changes: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          kind: { type: 'string', enum: Object.keys(DIGEST_CHANGES) },
+                          item: ITEM_REF_SCHEMA,
+                          at: { type: ['string', 'null'], format: 'date-time', description: 'When the item was created or closed' },
+                          from: { type: ['string', 'null'] },
+                          to: { type: ['string', 'null'] },
+                        },
+                        required: ['kind', 'item', 'at', 'from', 'to'],
+                      },
+                    },
+                  },
+                  required: ['login', 'changes'],
+                },
+              },
+            }),
           },
         ],
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    const callTool = async (request) => {
+      const { name } = request.params;
+      const args = { ...request.params.arguments };
+      const refresh = args.refresh === true;
+      const { projects } = args;
 
       try {
+        if (args.format !== undefined && !RESULT_FORMATS.includes(args.format)) {
+          throw new Error(`Invalid format "${args.format}" (expected ${RESULT_FORMATS.join(', ')})`);
+        }
+        // Some clients send numbers as strings, so "7" is read as 7
+        INTEGER_ARGUMENTS.filter(key => args[key] !== undefined).forEach(key => {
+          const value = typeof args[key] === 'string' && args[key].trim() !== '' ? Number(args[key]) : args[key];
+          if (!Number.isInteger(value) || value < 1) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid ${key} "${args[key]}" (expected a whole number of at least 1)`);
+          }
+          args[key] = value;
+        });
+
         switch (name) {
           case 'get_team_status': {
-            const events = await this.getCalendarEvents();
-            const workloadAnalysis = this.analyzeTeamWorkload(events);
+            const events = await this.getCalendarEvents({ projects, refresh });
+            const workloadAnalysis = this.analyzeTeamWorkload(events, this.loadUnavailability());
             
             const statusReport = workloadAnalysis.map(member => {
               return `**${member.login}**\n` +
                      `- Active Issues: ${member.activeIssues}\n` +
                      `- Upcoming Issues: ${member.upcomingIssues}\n` +
                      `- Overdue Issues: ${member.overdueIssues}\n` +
-                     `- Total Workload: ${member.totalWorkload}`;
+                     `- Total Workload: ${this.formatUtilization(member)} (${member.workloadLevel})` +
+                     (member.unavailableDays > 0
+                       ? `\n- Out of Office: ${member.unavailableDays} working days in the next ${this.config.availabilityWindowDays} days`
+                       : '');
             }).join('\n\n');
 
             return {
@@ -1216,24 +4777,33 @@ class GitHubCalendarMCPServer {
                   encoding: 'text'
                 })
               ],
+              structuredContent: {
+                members: workloadAnalysis.map(member => this.toMemberResult(member)),
+              },
             };
           }
 
           case 'get_person_schedule': {
             const { login, days = 7 } = args;
-            const events = await this.getCalendarEvents();
-            const endDate = addDays(new Date(), days);
+            const events = await this.getCalendarEvents({ projects, refresh });
+            const endDate = addDays(this.now(), days);
             
             const personEvents = events.filter(event => 
               event.assignees.some(assignee => assignee.login === login) &&
               event.startDate <= endDate
             ).sort((a, b) => a.startDate - b.startDate);
 
+            const blockedDays = this.getBlockedDays(this.loadUnavailability(), login, this.now(), endDate);
+            const blockedText = blockedDays.length > 0
+              ? `## Unavailable (${blockedDays.length} days)\n\n` +
+                this.groupBlockedDays(blockedDays).map(range => `- ${this.formatBlockedRange(range)}`).join('\n') + '\n\n'
+              : '';
+
             const scheduleText = personEvents.length > 0 ? 
               personEvents.map(event => {
                 const startStr = format(event.startDate, 'MMM dd, yyyy');
                 const endStr = event.endDate ? format(event.endDate, 'MMM dd, yyyy') : 'No end date';
-                return `**${event.title}** (${event.status})\n` +
+                return `**${event.title}** (${this.describeStatus(event)})\n` +
                        `- Start: ${startStr}\n` +
                        `- End: ${endStr}\n` +
                        `- URL: ${event.url}`;
@@ -1244,137 +4814,713 @@ class GitHubCalendarMCPServer {
               content: [
                 {
                   type: 'text',
-                  text: `# Schedule for ${login} (Next ${days} days)\n\n${scheduleText}`,
+                  text: `# Schedule for ${login} (Next ${days} days)\n\n${blockedText}${scheduleText}`,
+                },
+                createUIResource({
+                  uri: `ui://person-schedule/${login}/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createPersonScheduleUI(personEvents, login, days, blockedDays) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent: {
+                login,
+                days,
+                events: personEvents.map(event => this.toEventResult(event)),
+                unavailable: this.groupBlockedDays(blockedDays).map(range => ({
+                  start: format(range.start, 'yyyy-MM-dd'),
+                  end: format(range.end, 'yyyy-MM-dd'),
+                  summary: range.summary,
+                  teamWide: range.teamWide,
+                })),
+              },
+            };
+          }
+
+          case 'analyze_workload': {
+            const events = await this.getCalendarEvents({ projects, refresh });
+            const workloadAnalysis = this.analyzeTeamWorkload(events, this.loadUnavailability());
+            
+            const analysisText = workloadAnalysis.map((member, index) => {
+              return `${index + 1}. **${member.login}** - ${member.workloadLevel} (${this.formatUtilization(member)})\n` +
+                     `   - Active: ${member.activeIssues}, Upcoming: ${member.upcomingIssues}, Overdue: ${member.overdueIssues}` +
+                     (member.unestimatedIssues > 0 ? `, Unestimated: ${member.unestimatedIssues}` : '') +
+                     `\n   - Capacity: ${member.capacity} pts over the next ${this.config.availabilityWindowDays} days (${member.weeklyCapacity} pts/week)` +
+                     (member.unavailableDays > 0 ? `\n   - Availability: ${member.availability}% (${member.unavailableDays} days out)` : '');
+            }).join('\n');
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Team Workload Analysis\n\n${analysisText || 'No team workload data available.'}`,
+                },
+                createUIResource({
+                  uri: `ui://workload-analysis/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createWorkloadAnalysisUI(workloadAnalysis) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent: {
+                availabilityWindowDays: this.config.availabilityWindowDays,
+                members: workloadAnalysis.map(member => this.toMemberResult(member)),
+              },
+            };
+          }
+
+          case 'find_best_assignee': {
+            const { issueNumber, repository, labels = [], limit = 3 } = args;
+            const events = await this.getCalendarEvents({ projects, refresh });
+
+            // Issue numbers repeat across the repositories on a board
+            const repositoryOf = event => event.repository ? `${event.repository.owner}/${event.repository.name}` : null;
+            const issueMatches = issueNumber
+              ? events.filter(event =>
+                event.type !== 'draft_issue' && event.id === String(issueNumber) &&
+                (!repository || repositoryOf(event)?.toLowerCase() === repository.toLowerCase()))
+              : [];
+            if (issueNumber && issueMatches.length === 0) {
+              throw new Error(`Issue #${issueNumber}${repository ? ` in ${repository}` : ''} not found in ${this.resolveSources({ projects }).map(source => source.name).join(', ')}`);
+            }
+            if (issueMatches.length > 1) {
+              throw new Error(`Issue #${issueNumber} exists in ${issueMatches.map(repositoryOf).join(', ')}; pass repository to pick one`);
+            }
+            const issueEvent = issueMatches[0] || null;
+            const assignParams = issueEvent ? Object.fromEntries(
+              Object.entries({ issueNumber, repository: repositoryOf(issueEvent) ?? undefined, projects }).filter(([, value]) => value !== undefined)
+            ) : null;
+            const taskLabels = [...labels, ...(issueEvent?.labels.map(label => label.name) || [])];
+            const rankedMembers = this.rankAssignees(events, this.loadUnavailability(), taskLabels);
+            const matchedLabels = [...new Set(taskLabels.filter(label => label !== this.config.label))];
+            const candidates = rankedMembers.slice(0, Math.max(1, limit));
+            const bestAssignee = candidates[0]; // Already sorted by score
+            const structuredContent = {
+              issue: issueEvent ? this.toItemRef(issueEvent) : null,
+              labels: matchedLabels,
+              recommendation: bestAssignee?.login ?? null,
+              candidates: candidates.map(member => ({
+                ...this.toMemberResult(member),
+                score: member.score,
+                loadScore: member.loadScore,
+                skillScore: member.skillScore,
+                explanation: member.explanation,
+              })),
+            };
+            
+            if (rankedMembers.length === 0) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: 'No team members found in the current project.',
+                  },
+                ],
+                structuredContent,
+              };
+            }
+
+            const candidatesText = candidates.map((member, index) =>
+              `${index + 1}. **${member.login}** — score ${member.score.toFixed(2)} (${member.workloadLevel})\n` +
+              `   - ${member.explanation}\n` +
+              `   - Active: ${member.activeIssues}, Upcoming: ${member.upcomingIssues}, Overdue: ${member.overdueIssues}, ` +
+              `Availability: ${member.availability}% over the next ${this.config.availabilityWindowDays} days`
+            ).join('\n');
+            
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Best Assignee Recommendation${issueEvent ? ` for ${this.formatEventLabel(issueEvent)}` : ''}\n\n` +
+                        (matchedLabels.length > 0
+                          ? `Ranked by spare capacity and history with: ${matchedLabels.join(', ')}\n\n`
+                          : 'Ranked by spare capacity.\n\n') +
+                        candidatesText,
+                },
+                createUIResource({
+                  uri: `ui://best-assignee/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createBestAssigneeUI(bestAssignee, candidates, assignParams) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent,
+            };
+          }
+
+          case 'get_calendar_events': {
+            const { org, project, since, assignee, month, start, end, view = 'month', types } = args;
+
+            const sinceDate = since ? parseISO(since) : this.getDefaultSince();
+            if (!isValid(sinceDate)) {
+              throw new Error(`Invalid since date "${since}"`);
+            }
+
+            // Period to render; listing is limited to it only when one was asked for
+            const anchorDate = month ? parseISO(`${month}-01`) : start ? parseISO(start) : this.now();
+            if (!isValid(anchorDate)) {
+              throw new Error(`Invalid ${month ? `month "${month}" (expected YYYY-MM)` : `start date "${start}"`}`);
+            }
+            const endDate = end ? parseISO(end) : null;
+            if (endDate && !isValid(endDate)) {
+              throw new Error(`Invalid end date "${end}"`);
+            }
+            const period = this.getCalendarPeriod(anchorDate, view);
+            const rangeStart = start ? startOfDay(anchorDate) : period.start;
+            const rangeEnd = endDate ? endOfDay(endDate) : period.end;
+
+            // Items are fetched by creation date, so a period before the lookback
+            // window widens it to include items created since the period began
+            let events = await this.getCalendarEvents({
+              org,
+              projectNumber: project,
+              projects,
+              since: rangeStart < sinceDate ? rangeStart : sinceDate,
+              types,
+              refresh,
+            });
+            
+            // Filter by assignee if specified
+            if (assignee) {
+              events = events.filter(event => 
+                event.assignees.some(a => a.login === assignee)
+              );
+            }
+
+            if (month || start || end) {
+              events = events.filter(event => {
+                const eventEnd = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+                return event.startDate <= rangeEnd && eventEnd >= rangeStart;
+              });
+            }
+
+            const toolParams = Object.fromEntries(
+              Object.entries({ org, project, projects, since, assignee, types }).filter(([, value]) => value !== undefined)
+            );
+            const unavailability = this.loadUnavailability();
+            const gridStart = view === 'week' ? period.start : startOfWeek(period.start);
+            const gridEnd = view === 'week' ? period.end : endOfWeek(period.end);
+            // Invalid ranges are reported wherever they sit; only count those on the grid
+            const conflicts = this.detectConflicts(events, unavailability, { start: gridStart, end: gridEnd })
+              .filter(conflict => conflict.start <= gridEnd && conflict.end >= startOfDay(gridStart));
+            const calendarOptions = { view, toolParams, conflictDays: this.getConflictDays(conflicts) };
+            const structuredContent = {
+              range: month || start || end ? { start: format(rangeStart, 'yyyy-MM-dd'), end: format(rangeEnd, 'yyyy-MM-dd') } : null,
+              events: events.map(event => this.toEventResult(event)),
+              conflictCount: conflicts.length,
+            };
+
+            if (events.length === 0) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: 'No calendar events found matching the criteria.',
+                  },
+                  createUIResource({
+                    uri: `ui://calendar-empty/${Date.now()}`,
+                    content: { type: 'rawHtml', htmlString: this.createCalendarUI([], anchorDate, unavailability, calendarOptions) },
+                    encoding: 'text'
+                  })
+                ],
+                structuredContent,
+              };
+            }
+
+            const eventsText = events.map(event => {
+              const startStr = format(event.startDate, 'MMM dd, yyyy');
+              const endStr = event.endDate ? format(event.endDate, 'MMM dd, yyyy') : 'No end date';
+              const assigneeList = event.assignees.map(a => a.login).join(', ') || 'Unassigned';
+              
+              const sourceStr = `start from ${DATE_SOURCE_LABELS[event.dateSource.start]}` +
+                (event.dateSource.end ? `, end from ${DATE_SOURCE_LABELS[event.dateSource.end]}` : '');
+              
+              const reviewersStr = event.pullRequest?.reviewers.length > 0
+                ? `- Reviewers requested: ${event.pullRequest.reviewers.join(', ')}\n`
+                : '';
+              
+              return `**${event.title}** (${this.describeStatus(event)})\n` +
+                     `- Assignees: ${assigneeList}\n` +
+                     reviewersStr +
+                     `- Start: ${startStr}\n` +
+                     `- End: ${endStr}\n` +
+                     `- Dates: ${sourceStr}\n` +
+                     `- Source: ${event.source.name}\n` +
+                     `- URL: ${event.url}`;
+            }).join('\n\n');
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Calendar Events (${events.length} found)\n\n` +
+                        (month || start || end ? `Period: ${format(rangeStart, 'MMM dd, yyyy')} – ${format(rangeEnd, 'MMM dd, yyyy')}\n\n` : '') +
+                        (conflicts.length > 0 ? `⚠️ ${conflicts.length} scheduling conflict${conflicts.length === 1 ? '' : 's'} in this period (see detect_conflicts)\n\n` : '') +
+                        eventsText,
+                },
+                createUIResource({
+                  uri: `ui://calendar/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createCalendarUI(events, anchorDate, unavailability, calendarOptions) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent,
+            };
+          }
+
+          case 'get_timeline': {
+            const { start, end, groupBy = 'assignee', includeClosed = true, types } = args;
+            if (!TIMELINE_GROUPS.includes(groupBy)) {
+              throw new McpError(ErrorCode.InvalidParams, `Invalid groupBy "${groupBy}" (expected ${TIMELINE_GROUPS.join(', ')})`);
+            }
+            const rangeStart = startOfDay(start ? parseISO(start) : subDays(this.now(), 30));
+            const rangeEnd = startOfDay(end ? parseISO(end) : addDays(this.now(), 90));
+            if (!isValid(rangeStart) || !isValid(rangeEnd) || rangeEnd < rangeStart) {
+              throw new Error('Timeline needs a valid start date on or before the end date');
+            }
+
+            const events = (await this.getCalendarEvents({ projects, types, refresh })).filter(event => {
+              if (!includeClosed && event.status === 'closed') return false;
+              const eventEnd = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+              return event.startDate <= endOfDay(rangeEnd) && eventEnd >= rangeStart;
+            });
+
+            const groups = this.groupTimelineEvents(events, groupBy);
+            const timelineText = [...groups.entries()].map(([group, groupEvents]) => {
+              const lines = groupEvents.map(event => {
+                const endStr = event.endDate ? format(event.endDate, 'MMM dd, yyyy') : 'no end date';
+                const duration = event.endDate ? ` (${differenceInCalendarDays(event.endDate, event.startDate) + 1} days)` : '';
+                const marker = event.status === 'closed' ? '✓ ' : this.isOverdue(event) ? '⚠️ ' : '';
+                const kind = event.type === 'issue' ? '' : ` [${this.describeStatus(event)}]`;
+                return `- ${marker}${this.formatEventLabel(event)}${kind}: ${format(event.startDate, 'MMM dd, yyyy')} → ${endStr}${duration}`;
+              }).join('\n');
+              return `## ${group}\n${lines}`;
+            }).join('\n\n');
+
+            const overdueCount = events.filter(event => this.isOverdue(event)).length;
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Timeline: ${format(rangeStart, 'MMM dd, yyyy')} – ${format(rangeEnd, 'MMM dd, yyyy')}\n\n` +
+                        `${events.length} events${overdueCount > 0 ? `, ${overdueCount} overdue (⚠️)` : ''}\n\n` +
+                        (timelineText || 'No events in this range.'),
+                },
+                createUIResource({
+                  uri: `ui://timeline/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createTimelineUI(events, rangeStart, rangeEnd, groupBy) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent: {
+                start: format(rangeStart, 'yyyy-MM-dd'),
+                end: format(rangeEnd, 'yyyy-MM-dd'),
+                groupBy,
+                overdueCount,
+                groups: [...groups.entries()].map(([group, groupEvents]) => ({
+                  name: group,
+                  events: groupEvents.map(event => this.toEventResult(event)),
+                })),
+              },
+            };
+          }
+
+          case 'detect_conflicts': {
+            const { start, end, assignee, concurrencyLimit = this.config.maxConcurrentItems } = args;
+            const rangeStart = startOfDay(start ? parseISO(start) : this.now());
+            const rangeEnd = startOfDay(end ? parseISO(end) : addDays(this.now(), 60));
+            if (!isValid(rangeStart) || !isValid(rangeEnd) || rangeEnd < rangeStart) {
+              throw new Error('Conflict detection needs a valid start date on or before the end date');
+            }
+
+            let events = await this.getCalendarEvents({ projects, refresh });
+            if (assignee) {
+              events = events.filter(event => event.assignees.some(a => a.login === assignee));
+            }
+            // Items that end before they start are reported wherever they sit
+            events = events.filter(event => {
+              const eventEnd = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+              return (event.endDate && event.endDate < event.startDate) || (event.startDate <= endOfDay(rangeEnd) && eventEnd >= rangeStart);
+            });
+
+            const conflicts = this.detectConflicts(events, this.loadUnavailability(), {
+              start: rangeStart,
+              end: rangeEnd,
+              concurrencyLimit,
+            });
+
+            const conflictsText = conflicts.map((conflict, index) => {
+              const dates = isSameDay(conflict.start, conflict.end)
+                ? format(conflict.start, 'MMM dd, yyyy')
+                : `${format(conflict.start, 'MMM dd')} – ${format(conflict.end, 'MMM dd, yyyy')}`;
+              const items = conflict.events.map(event => `  - ${this.formatEventLabel(event)} (${event.url})`).join('\n');
+              return `${index + 1}. **[${conflict.severity.toUpperCase()}]** ${dates}: ${conflict.message}\n${items}`;
+            }).join('\n');
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Schedule Conflicts: ${format(rangeStart, 'MMM dd, yyyy')} – ${format(rangeEnd, 'MMM dd, yyyy')}\n\n` +
+                        `Concurrency limit: ${concurrencyLimit} items per person per day\n\n` +
+                        (conflictsText || '✅ No conflicts found.'),
+                },
+                createUIResource({
+                  uri: `ui://conflicts/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createConflictsUI(conflicts, rangeStart, rangeEnd, concurrencyLimit) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent: {
+                start: format(rangeStart, 'yyyy-MM-dd'),
+                end: format(rangeEnd, 'yyyy-MM-dd'),
+                concurrencyLimit,
+                conflicts: conflicts.map(conflict => this.toConflictResult(conflict)),
+              },
+            };
+          }
+
+          case 'get_velocity_report': {
+            const { period = 'week', periods = 8, rollingWindow = 3, assignee } = args;
+            if (periods < 1 || rollingWindow < 1) {
+              throw new Error('periods and rollingWindow must be at least 1');
+            }
+
+            let events = await this.getCalendarEvents({ projects, refresh });
+            if (assignee) {
+              events = events.filter(event => event.assignees.some(a => a.login === assignee));
+            }
+
+            const report = this.buildVelocityReport(events, { period, periods, rollingWindow });
+            const unit = period === 'iteration' ? 'iteration' : 'week';
+
+            const bucketRows = report.buckets.map(bucket =>
+              `| ${bucket.label}${bucket.complete ? '' : ' (in progress)'} | ${bucket.items} | ${bucket.points} | ${bucket.rollingAverage} |`
+            ).join('\n');
+
+            const personRows = report.people.map(login => {
+              const cells = report.buckets.map(bucket => bucket.byPerson[login]?.points ?? 0);
+              const total = Math.round(cells.reduce((sum, points) => sum + points, 0) * 10) / 10;
+              return `| ${login} | ${cells.join(' | ')} | ${total} |`;
+            }).join('\n');
+
+            const projection = report.projectedCompletion
+              ? `Projected completion: ${format(report.projectedCompletion, 'MMM dd, yyyy')}`
+              : report.velocity > 0
+                ? 'Projected completion: more than a year out at the current pace'
+                : 'Projected completion: unknown (no completed work to base a pace on)';
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Velocity Report${assignee ? ` for ${assignee}` : ''}: last ${report.buckets.length} ${unit}s\n\n` +
+                        `| ${unit === 'week' ? 'Week of' : 'Iteration'} | Items | Points | Rolling avg (${rollingWindow}) |\n` +
+                        `|---|---|---|---|\n` +
+                        `${bucketRows}\n\n` +
+                        `## By Person (points)\n\n` +
+                        (personRows
+                          ? `| Person | ${report.buckets.map(bucket => bucket.label).join(' | ')} | Total |\n` +
+                            `|---|${report.buckets.map(() => '---|').join('')}---|\n` +
+                            `${personRows}\n\n`
+                          : 'No completed work in this range.\n\n') +
+                        `## Burndown\n\n` +
+                        `- Remaining open scope: ${report.remaining.points} pts across ${report.remaining.items} items\n` +
+                        `- Pace: ${report.velocity} pts per ${unit} (average of the last ${rollingWindow} completed ${unit}s)\n` +
+                        `- ${projection}`,
+                },
+                createUIResource({
+                  uri: `ui://velocity/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createVelocityUI(report) },
+                  encoding: 'text'
+                })
+              ],
+              structuredContent: {
+                period: report.period,
+                rollingWindow: report.rollingWindow,
+                velocity: report.velocity,
+                buckets: report.buckets.map(bucket => ({
+                  label: bucket.label,
+                  start: format(bucket.start, 'yyyy-MM-dd'),
+                  end: format(bucket.end, 'yyyy-MM-dd'),
+                  complete: bucket.complete,
+                  items: bucket.items,
+                  points: bucket.points,
+                  rollingAverage: bucket.rollingAverage,
+                  byPerson: bucket.byPerson,
+                })),
+                remaining: report.remaining,
+                burndown: report.burndown.map(point => ({
+                  date: format(point.date, 'yyyy-MM-dd'),
+                  remaining: point.remaining,
+                  projected: point.projected,
+                })),
+                projectedCompletion: report.projectedCompletion ? format(report.projectedCompletion, 'yyyy-MM-dd') : null,
+              },
+            };
+          }
+
+          case 'list_project_fields': {
+            const { org = this.config.org, project = this.config.projectNumber } = args;
+            const { title, fields } = await this.fetchProjectFields(org, project);
+            const mapping = this.config.fieldMapping;
+
+            const fieldRows = fields.map(field => {
+              const role = this.resolveFieldRole(field);
+              const options = field.options?.map(option => option.name).join(', ') || '';
+              return `| ${field.name} | \`${field.id}\` | ${field.dataType} | ${role || ''} | ${options} |`;
+            }).join('\n');
+
+            const mappingText = FIELD_ROLES.map(role => {
+              const resolved = fields.find(field => this.resolveFieldRole(field) === role);
+              const source = mapping[role] ? `configured as "${mapping[role]}"` : 'guessed from field names';
+              return `- **${role}**: ${resolved ? resolved.name : 'not found'} (${source})`;
+            }).join('\n');
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# Project Fields: ${title} (${org} #${project})\n\n` +
+                        `| Field | Id | Type | Maps to | Options |\n` +
+                        `|-------|----|------|---------|---------|\n` +
+                        `${fieldRows}\n\n` +
+                        `## Current Mapping\n\n${mappingText}\n\n` +
+                        'Set `fieldMapping` in the config file (or `FIELD_START`, `FIELD_END`, `FIELD_STATUS`, `FIELD_ESTIMATE`, `FIELD_PRIORITY`, `FIELD_ITERATION`) to a field name or id to override a guess.',
+                },
+              ],
+              structuredContent: {
+                org,
+                project,
+                title,
+                fields: fields.map(field => ({
+                  id: field.id,
+                  name: field.name,
+                  dataType: field.dataType,
+                  role: this.resolveFieldRole(field),
+                  options: field.options?.map(option => option.name) || [],
+                })),
+                mapping: FIELD_ROLES.map(role => ({
+                  role,
+                  field: fields.find(field => this.resolveFieldRole(field) === role)?.name ?? null,
+                  configuredAs: mapping[role] ?? null,
+                })),
+              },
+            };
+          }
+
+          case 'reschedule_event': {
+            const { issueNumber, itemId, repository, start, end, dryRun = false } = args;
+            if (!issueNumber && !itemId) {
+              throw new Error('Either issueNumber or itemId is required');
+            }
+
+            const { item, changes } = await this.rescheduleEvent({ issueNumber, itemId, repository, projects, start, end, dryRun });
+
+            const changeText = changes.map(change =>
+              `- ${change.fieldName}: ${change.before || 'not set'} → ${change.after}`
+            ).join('\n');
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# ${dryRun ? 'Reschedule Preview' : 'Rescheduled'}: ${item.content.number !== null ? `#${item.content.number} ` : ''}${item.content.title}\n\n` +
+                        `${changeText}\n\n` +
+                        (dryRun ? 'Dry run — no changes were written.' : 'Project item updated.') +
+                        `\n- URL: ${item.content.html_url}`,
+                },
+              ],
+              structuredContent: {
+                item: { itemId: item.id, number: item.content.number, title: item.content.title, url: item.content.html_url },
+                dryRun,
+                changes: changes.map(({ role, fieldName, before, after }) => ({ role, fieldName, before, after })),
+              },
+            };
+          }
+
+          case 'assign_issue': {
+            const { issueNumber, repository, assignees = [], useRecommendation = false, replace = false, dryRun = false } = args;
+            const { item, before, after, recommendation } = await this.assignIssue({
+              issueNumber,
+              repository,
+              projects,
+              assignees,
+              useRecommendation,
+              replace,
+              dryRun,
+            });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `# ${dryRun ? 'Assignment Preview' : 'Issue Assigned'}: #${item.content.number} ${item.content.title}\n\n` +
+                        (recommendation ? `Recommended assignee: **${recommendation.login}** (${this.formatUtilization(recommendation)}, ${recommendation.availability}% available)\n\n` : '') +
+                        `- Before: ${before.join(', ') || 'Unassigned'}\n` +
+                        `- After: ${after.join(', ') || 'Unassigned'}\n\n` +
+                        (dryRun ? 'Dry run — no changes were written.' : 'Assignees updated.') +
+                        `\n- URL: ${item.content.html_url}`,
                 },
-                createUIResource({
-                  uri: `ui://person-schedule/${login}/${Date.now()}`,
-                  content: { type: 'rawHtml', htmlString: this.createPersonScheduleUI(personEvents, login, days) },
-                  encoding: 'text'
-                })
               ],
+              structuredContent: {
+                issue: { number: item.content.number, title: item.content.title, url: item.content.html_url },
+                dryRun,
+                before,
+                after,
+                recommendation: recommendation?.login ?? null,
+              },
             };
           }
 
-          case 'analyze_workload': {
-            const events = await this.getCalendarEvents();
-            const workloadAnalysis = this.analyzeTeamWorkload(events);
-            
-            const analysisText = workloadAnalysis.map((member, index) => {
-              const workloadLevel = member.totalWorkload <= 2 ? 'Light' : 
-                                   member.totalWorkload <= 4 ? 'Moderate' : 'Heavy';
-              return `${index + 1}. **${member.login}** - ${workloadLevel} (${member.totalWorkload} issues)\n` +
-                     `   - Active: ${member.activeIssues}, Upcoming: ${member.upcomingIssues}, Overdue: ${member.overdueIssues}`;
-            }).join('\n');
+          case 'export_ical': {
+            const { assignee, label, start, end, types } = args;
+            const rangeStart = start ? startOfDay(parseISO(start)) : null;
+            const rangeEnd = end ? endOfDay(parseISO(end)) : null;
+            if ((rangeStart && !isValid(rangeStart)) || (rangeEnd && !isValid(rangeEnd)) || (rangeStart && rangeEnd && rangeEnd < rangeStart)) {
+              throw new Error('Export needs valid start and end dates, with the start on or before the end');
+            }
+
+            const events = (await this.getCalendarEvents({ projects, types, refresh })).filter(event => {
+              if (assignee && !event.assignees.some(a => a.login === assignee)) return false;
+              if (label && !event.labels.some(l => l.name === label)) return false;
+              if (rangeStart && (event.endDate || event.startDate) < rangeStart) return false;
+              if (rangeEnd && event.startDate > rangeEnd) return false;
+              return true;
+            });
+
+            const ical = this.createICalendar(events, this.resolveSources({ projects }));
 
             return {
               content: [
                 {
                   type: 'text',
-                  text: `# Team Workload Analysis\n\n${analysisText || 'No team workload data available.'}`,
+                  text: `# iCalendar Export (${events.length} events)\n\n` +
+                        'Save the attached `text/calendar` resource as a `.ics` file to import it into your calendar app.',
+                },
+                {
+                  type: 'resource',
+                  resource: {
+                    uri: `ical://github-calendar/${Date.now()}.ics`,
+                    mimeType: 'text/calendar',
+                    text: ical,
+                  },
                 },
-                createUIResource({
-                  uri: `ui://workload-analysis/${Date.now()}`,
-                  content: { type: 'rawHtml', htmlString: this.createWorkloadAnalysisUI(workloadAnalysis) },
-                  encoding: 'text'
-                })
               ],
+              structuredContent: {
+                eventCount: events.length,
+                ical,
+              },
             };
           }
 
-          case 'find_best_assignee': {
-            const events = await this.getCalendarEvents();
-            const workloadAnalysis = this.analyzeTeamWorkload(events);
-            
-            if (workloadAnalysis.length === 0) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: 'No team members found in the current project.',
-                  },
-                ],
-              };
+          case 'get_api_status': {
+            // The rate limit endpoint does not count against the quota
+            let source = 'live';
+            try {
+              const { data } = await this.octokit.rest.rateLimit.get();
+              ['core', 'search', 'graphql'].forEach(resource => {
+                const limit = data.resources[resource];
+                if (limit) {
+                  this.apiStats.rateLimits[resource] = { ...limit, reset: new Date(limit.reset * 1000) };
+                }
+              });
+            } catch (error) {
+              console.error('Failed to fetch rate limits:', error);
+              source = `last seen (live lookup failed: ${error.message})`;
             }
 
-            const bestAssignee = workloadAnalysis[0]; // Already sorted by workload
-            
+            const stats = this.apiStats;
+            const limitRows = Object.entries(stats.rateLimits).map(([resource, limit]) =>
+              `| ${resource} | ${limit.used} | ${limit.remaining} | ${limit.limit} | ${format(limit.reset, 'MMM dd, HH:mm:ss')} |`
+            ).join('\n');
+            const lastCost = stats.lastGraphqlCost
+              ? ` (last project query: ${stats.lastGraphqlCost.cost} points, ${stats.lastGraphqlCost.remaining} remaining until ${format(stats.lastGraphqlCost.resetAt, 'HH:mm:ss')})`
+              : '';
+
             return {
               content: [
                 {
                   type: 'text',
-                  text: `# Best Assignee Recommendation\n\n` +
-                        `**${bestAssignee.login}** has the lightest workload:\n` +
-                        `- Current workload: ${bestAssignee.totalWorkload} issues\n` +
-                        `- Active: ${bestAssignee.activeIssues}\n` +
-                        `- Upcoming: ${bestAssignee.upcomingIssues}\n` +
-                        `- Overdue: ${bestAssignee.overdueIssues}`,
+                  text: `# GitHub API Status\n\n` +
+                        (limitRows
+                          ? `Rate limits (${source}):\n\n` +
+                            `| Resource | Used | Remaining | Limit | Resets |\n` +
+                            `|----------|------|-----------|-------|--------|\n` +
+                            `${limitRows}\n\n`
+                          : `No rate limit information yet (${source}).\n\n`) +
+                        `## This Session\n\n` +
+                        `- Requests: ${stats.requests} (including ${stats.retries} retries)\n` +
+                        `- GraphQL cost: ${stats.graphqlCost} points${lastCost}\n` +
+                        `- Retries: up to ${this.config.maxRetries} per request, waiting at most ${MAX_RETRY_WAIT_SECONDS}s for a rate limit reset`,
                 },
-                createUIResource({
-                  uri: `ui://best-assignee/${Date.now()}`,
-                  content: { type: 'rawHtml', htmlString: this.createBestAssigneeUI(bestAssignee, workloadAnalysis) },
-                  encoding: 'text'
-                })
               ],
+              structuredContent: {
+                source,
+                rateLimits: Object.fromEntries(Object.entries(stats.rateLimits).map(([resource, limit]) => [
+                  resource,
+                  { limit: limit.limit, remaining: limit.remaining, used: limit.used, reset: limit.reset.toISOString() },
+                ])),
+                session: { requests: stats.requests, retries: stats.retries, graphqlCost: stats.graphqlCost },
+                maxRetries: this.config.maxRetries,
+              },
             };
           }
 
-          case 'get_calendar_events': {
-            const { org = DEFAULT_ORG, project = DEFAULT_PROJECT_NUMBER, since, assignee } = args;
-            
-            let sinceDate;
-            if (since) {
-              sinceDate = parseISO(since);
-            }
-            
-            let events = await this.getCalendarEvents(org, project, sinceDate);
-            
-            // Filter by assignee if specified
-            if (assignee) {
-              events = events.filter(event => 
-                event.assignees.some(a => a.login === assignee)
-              );
+          case 'get_daily_digest': {
+            const since = args.since ? parseISO(args.since) : subBusinessDays(startOfDay(this.now()), 1);
+            if (!isValid(since) || since > this.now()) {
+              throw new Error(`Invalid since "${args.since}"; expected an ISO date or timestamp in the past`);
             }
 
-            if (events.length === 0) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: 'No calendar events found matching the criteria.',
-                  },
-                  createUIResource({
-                    uri: `ui://calendar-empty/${Date.now()}`,
-                    content: { type: 'rawHtml', htmlString: this.createCalendarUI([]) },
-                    encoding: 'text'
-                  })
-                ],
-              };
+            const events = await this.getCalendarEvents({ projects, refresh });
+            const timelines = await this.fetchIssueTimelines(events, since);
+            const trackedSince = this.itemHistory.trackedSince();
+            if (trackedSince > since) {
+              this.addDataWarning(
+                `Item history starts ${format(trackedSince, 'MMM dd, HH:mm')}, so earlier date changes and project status moves are not included` +
+                (this.config.historyFile ? '' : '; set CALENDAR_HISTORY_FILE to keep history across restarts')
+              );
             }
 
-            const eventsText = events.map(event => {
-              const startStr = format(event.startDate, 'MMM dd, yyyy');
-              const endStr = event.endDate ? format(event.endDate, 'MMM dd, yyyy') : 'No end date';
-              const assigneeList = event.assignees.map(a => a.login).join(', ') || 'Unassigned';
-              
-              return `**${event.title}** (${event.status})\n` +
-                     `- Assignees: ${assigneeList}\n` +
-                     `- Start: ${startStr}\n` +
-                     `- End: ${endStr}\n` +
-                     `- URL: ${event.url}`;
-            }).join('\n\n');
+            const digest = this.buildDailyDigest(events, since, timelines);
+            const summary = Object.entries(DIGEST_CHANGES)
+              .map(([kind, { label }]) => `${label}: ${digest.counts[kind]}`)
+              .join(' · ');
+            const peopleText = digest.people.map(person =>
+              `## ${person.login}\n\n` + person.changes.map(change => {
+                const { label, icon } = DIGEST_CHANGES[change.kind];
+                return `- ${icon} ${label}: [${change.event.title}](${change.event.url})` +
+                       (change.from !== null ? ` — ${change.from} → ${change.to}` : '');
+              }).join('\n')
+            ).join('\n\n');
 
             return {
               content: [
                 {
                   type: 'text',
-                  text: `# Calendar Events (${events.length} found)\n\n${eventsText}`,
+                  text: `# Daily Digest since ${format(since, 'EEE, MMM dd HH:mm')}\n\n${summary}\n\n` +
+                        (peopleText || 'No changes.'),
                 },
                 createUIResource({
-                  uri: `ui://calendar/${Date.now()}`,
-                  content: { type: 'rawHtml', htmlString: this.createCalendarUI(events) },
+                  uri: `ui://daily-digest/${Date.now()}`,
+                  content: { type: 'rawHtml', htmlString: this.createDailyDigestUI(digest) },
                   encoding: 'text'
                 })
               ],
+              structuredContent: {
+                since: since.toISOString(),
+                trackedSince: trackedSince ? trackedSince.toISOString() : null,
+                counts: digest.counts,
+                people: digest.people.map(person => ({
+                  login: person.login,
+                  changes: person.changes.map(change => ({
+                    kind: change.kind,
+                    item: this.toItemRef(change.event),
+                    at: change.at ? change.at.toISOString() : null,
+                    from: change.from,
+                    to: change.to,
+                  })),
+                })),
+              },
             };
           }
 
@@ -1382,6 +5528,9 @@ class GitHubCalendarMCPServer {
             throw new Error(`Unknown tool: ${name}`);
         }
       } catch (error) {
+        // Invalid arguments are protocol errors; anything else is reported
+        // in the result, where the model can read it
+        if (error instanceof McpError) throw error;
         console.error(`Error in tool ${name}:`, error);
         return {
           content: [
@@ -1393,14 +5542,652 @@ class GitHubCalendarMCPServer {
           isError: true,
         };
       }
+    };
+
+    // Each call runs in its own context so data warnings reach only its response
+    server.setRequestHandler(CallToolRequestSchema, (request) => {
+      const context = { warnings: [] };
+      return this.requestContext.run(context, async () => {
+        const result = await callTool(request);
+        if (context.warnings.length > 0 && !result.isError) {
+          if (result.content[0]?.type === 'text') {
+            result.content[0].text = this.formatDataWarnings(context.warnings) + result.content[0].text;
+          }
+          if (result.structuredContent) {
+            result.structuredContent.warnings = context.warnings;
+          }
+        }
+        return this.applyResultFormat(result, request.params.arguments?.format ?? 'markdown');
+      });
+    });
+  }
+
+  // Read-only resources: a month calendar, one person's calendar and the team
+  // workload, as JSON in the same shapes as the tools' structured results
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const month = format(this.now(), 'yyyy-MM');
+      return {
+        resources: [
+          {
+            uri: `calendar://month/${month}`,
+            name: `Calendar for ${format(this.now(), 'MMMM yyyy')}`,
+            description: `Events from ${this.config.displayName} scheduled during the current month`,
+            mimeType: 'application/json',
+          },
+          {
+            uri: 'workload://team',
+            name: 'Team workload',
+            description: 'Open work, capacity and utilization for each team member',
+            mimeType: 'application/json',
+          },
+        ],
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'calendar://month/{month}',
+          name: 'Calendar for a month',
+          description: 'Events scheduled during a month given as YYYY-MM',
+          mimeType: 'application/json',
+        },
+        {
+          uriTemplate: 'calendar://person/{login}',
+          name: 'Calendar for a person',
+          description: 'Events assigned to a GitHub user, with their current workload',
+          mimeType: 'application/json',
+        },
+      ],
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+      contents: [(await this.readResource(request.params.uri)).content],
+    }));
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.subscribeResource(server, request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribeResource(server, request.params.uri);
+      return {};
+    });
+  }
+
+  // Each read runs in its own context, like tool calls, and the data warnings
+  // it collects go into the payload. They are also returned so background
+  // refreshes can tell a complete read from a partial one.
+  async readResource(uri, { refresh = false } = {}) {
+    const context = { warnings: [] };
+    const data = await this.requestContext.run(context, () => this.readResourceData(uri, { refresh }));
+    if (context.warnings.length > 0) {
+      data.warnings = context.warnings;
+    }
+    return {
+      content: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) },
+      warnings: context.warnings,
+    };
+  }
+
+  async readResourceData(uri, { refresh = false } = {}) {
+    const match = /^(calendar|workload):\/\/([^/]+)(?:\/(.+))?$/.exec(uri);
+    const [, scheme, kind, value] = match || [];
+    const monthStart = scheme === 'calendar' && kind === 'month' && /^\d{4}-\d{2}$/.test(value || '')
+      ? parseISO(`${value}-01`)
+      : null;
+    let data;
+
+    if (monthStart && isValid(monthStart)) {
+      const monthEnd = endOfMonth(monthStart);
+      // Like get_calendar_events, a month before the lookback window widens it.
+      // Widened reads have their own cache entry, so a background refresh
+      // re-fetches them here rather than with the default window.
+      const defaultSince = this.getDefaultSince();
+      const widened = monthStart < defaultSince;
+      const events = (await this.getCalendarEvents({
+        since: widened ? monthStart : defaultSince,
+        refresh: refresh && widened,
+      })).filter(event => {
+        const eventEnd = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+        return event.startDate <= monthEnd && eventEnd >= monthStart;
+      });
+      data = {
+        month: value,
+        events: events.map(event => this.toEventResult(event)),
+      };
+    } else if (scheme === 'calendar' && kind === 'person' && value) {
+      const login = decodeURIComponent(value);
+      const events = await this.getCalendarEvents();
+      const member = this.analyzeTeamWorkload(events, this.loadUnavailability()).find(candidate => candidate.login === login);
+      data = {
+        login,
+        workload: member ? this.toMemberResult(member) : null,
+        events: events
+          .filter(event => event.assignees.some(assignee => assignee.login === login))
+          .sort((a, b) => a.startDate - b.startDate)
+          .map(event => this.toEventResult(event)),
+      };
+    } else if (scheme === 'workload' && kind === 'team' && !value) {
+      const events = await this.getCalendarEvents();
+      data = {
+        availabilityWindowDays: this.config.availabilityWindowDays,
+        members: this.analyzeTeamWorkload(events, this.loadUnavailability()).map(member => this.toMemberResult(member)),
+      };
+    } else {
+      throw new Error(`Unknown resource "${uri}" (expected calendar://month/YYYY-MM, calendar://person/{login} or workload://team)`);
+    }
+
+    return data;
+  }
+
+  // Subscribing reads the resource once, which both validates the URI and
+  // records the content later refreshes are compared against
+  async subscribeResource(server, uri) {
+    const { content, warnings } = await this.readResource(uri);
+    if (!this.resourceSnapshots.has(uri) && warnings.length === 0) {
+      this.resourceSnapshots.set(uri, content.text);
+    }
+    if (!this.resourceSubscriptions.has(server)) {
+      this.resourceSubscriptions.set(server, new Set());
+    }
+    this.resourceSubscriptions.get(server).add(uri);
+
+    if (!this.resourceRefreshTimer && this.config.resourceRefreshSeconds > 0) {
+      this.resourceRefreshTimer = setInterval(() => this.refreshSubscribedResources(), this.config.resourceRefreshSeconds * 1000);
+      this.resourceRefreshTimer.unref();
+    }
+  }
+
+  // Drop one subscription, or all of a server's when no URI is given (session closed)
+  unsubscribeResource(server, uri) {
+    const uris = this.resourceSubscriptions.get(server);
+    if (uris) {
+      if (uri) {
+        uris.delete(uri);
+      }
+      if (!uri || uris.size === 0) {
+        this.resourceSubscriptions.delete(server);
+      }
+    }
+
+    const subscribed = this.getSubscribedUris();
+    [...this.resourceSnapshots.keys()].filter(key => !subscribed.has(key)).forEach(key => this.resourceSnapshots.delete(key));
+    if (subscribed.size === 0) {
+      clearInterval(this.resourceRefreshTimer);
+      this.resourceRefreshTimer = null;
+    }
+  }
+
+  getSubscribedUris() {
+    return new Set([...this.resourceSubscriptions.values()].flatMap(uris => [...uris]));
+  }
+
+  // Background refresh: re-fetch project items once, re-read every subscribed
+  // resource from the fresh cache and notify subscribers whose content changed.
+  // Partial reads are skipped so a failed fetch does not look like a change;
+  // the last complete content stays the baseline.
+  async refreshSubscribedResources() {
+    if (this.resourceRefreshRunning) return;
+    this.resourceRefreshRunning = true;
+
+    try {
+      await this.getCalendarEvents({ refresh: true });
+
+      for (const uri of this.getSubscribedUris()) {
+        const { content, warnings } = await this.readResource(uri, { refresh: true });
+        if (warnings.length > 0) continue;
+        const previous = this.resourceSnapshots.get(uri);
+        this.resourceSnapshots.set(uri, content.text);
+        if (previous === content.text) continue;
+
+        for (const [server, uris] of this.resourceSubscriptions) {
+          if (uris.has(uri)) {
+            await server.sendResourceUpdated({ uri }).catch((error) => {
+              console.error(`Failed to notify subscriber of ${uri}:`, error);
+            });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Background refresh of subscribed resources failed:', error);
+    } finally {
+      this.resourceRefreshRunning = false;
+    }
+  }
+
+  // Prompt templates for recurring team meetings. Each one is rendered with
+  // the current calendar and workload so clients can offer it as a slash
+  // command without the model having to call tools first.
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: [
+        {
+          name: 'daily_standup',
+          description: 'Run a daily standup: what each person finished since the previous working day, what is in progress, and who is out',
+          arguments: [
+            { name: 'date', description: 'Day of the standup as YYYY-MM-DD (default: today)', required: false },
+            PROJECTS_PROMPT_ARGUMENT,
+          ],
+        },
+        {
+          name: 'sprint_planning',
+          description: 'Plan the next sprint from team capacity, time off, recent velocity, scheduled work and items that still need an owner or dates',
+          arguments: [
+            { name: 'iteration', description: 'Title of the project iteration to plan (default: the next one, when the project has an iteration field)', required: false },
+            { name: 'start', description: 'First day of the sprint as YYYY-MM-DD, when not planning a project iteration (default: today)', required: false },
+            { name: 'weeks', description: 'Sprint length in weeks, when not planning a project iteration (default: 2)', required: false },
+            PROJECTS_PROMPT_ARGUMENT,
+          ],
+        },
+        {
+          name: 'weekly_retro',
+          description: 'Run a weekly retrospective: completed work per person, items that slipped, new scope and velocity against the rolling average',
+          arguments: [
+            { name: 'weekOf', description: 'Any day in the week to review as YYYY-MM-DD (default: the current week)', required: false },
+            PROJECTS_PROMPT_ARGUMENT,
+          ],
+        },
+        {
+          name: 'person_one_on_one',
+          description: "Prepare a one-on-one with a team member from their workload, recent completions, overdue items and upcoming schedule",
+          arguments: [
+            { name: 'login', description: 'GitHub username of the team member', required: true },
+            { name: 'days', description: 'Days to look back at completed work and ahead at the schedule (default: 14)', required: false },
+            PROJECTS_PROMPT_ARGUMENT,
+          ],
+        },
+      ],
+    }));
+
+    // Like tool calls, each prompt is rendered in its own context and says
+    // when the data it was built from is incomplete
+    server.setRequestHandler(GetPromptRequestSchema, (request) => {
+      const context = { warnings: [] };
+      return this.requestContext.run(context, async () => {
+        const prompt = await this.getPrompt(request.params);
+        if (context.warnings.length > 0) {
+          const { content } = prompt.messages[0];
+          content.text = this.formatDataWarnings(context.warnings) + content.text;
+        }
+        return prompt;
+      });
+    });
+  }
+
+  async getPrompt({ name, arguments: args = {} }) {
+    const projects = args.projects
+      ? args.projects.split(',').map(project => project.trim()).filter(Boolean)
+      : undefined;
+    const events = await this.getCalendarEvents({ projects });
+    const unavailability = this.loadUnavailability();
+
+    switch (name) {
+      case 'daily_standup':
+        return this.buildStandupPrompt(events, unavailability, args);
+      case 'sprint_planning':
+        return this.buildSprintPlanningPrompt(events, unavailability, args);
+      case 'weekly_retro':
+        return this.buildRetroPrompt(events, args);
+      case 'person_one_on_one':
+        return this.buildOneOnOnePrompt(events, unavailability, args);
+      default:
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+  }
+
+  // Prompt arguments arrive as strings; dates are YYYY-MM-DD and counts positive integers
+  parsePromptDate(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const date = parseISO(value);
+    if (!isValid(date)) {
+      throw new Error(`Invalid ${name} "${value}" (expected YYYY-MM-DD)`);
+    }
+    return date;
+  }
+
+  parsePromptCount(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid ${name} "${value}" (expected a positive whole number)`);
+    }
+    return count;
+  }
+
+  // "- [Title](url) — open, Oct 01 – Oct 10, 3 pts, @alice" for prompt context
+  formatPromptEvent(event, { assignees = true } = {}) {
+    const dates = event.endDate && !isSameDay(event.startDate, event.endDate)
+      ? `${format(event.startDate, 'MMM dd')} – ${format(event.endDate, 'MMM dd')}`
+      : format(event.startDate, 'MMM dd');
+    const details = [this.describeStatus(event), dates, `${event.estimate ?? this.config.defaultEstimate} pts`];
+    if (this.isOverdue(event)) details.push('**overdue**');
+    if (assignees && event.assignees.length > 0) {
+      details.push(event.assignees.map(assignee => `@${assignee.login}`).join(', '));
+    }
+    return `- [${event.title}](${event.url}) — ${details.join(', ')}`;
+  }
+
+  // One "### login" section per assignee with their items, or `empty` when none
+  formatPromptEventsByPerson(events, empty) {
+    if (events.length === 0) return empty;
+    return [...this.groupTimelineEvents(events, 'assignee')].map(([login, personEvents]) =>
+      `### ${login}\n\n${personEvents.map(event => this.formatPromptEvent(event, { assignees: false })).join('\n')}`
+    ).join('\n\n');
+  }
+
+  formatPromptWorkload(members) {
+    if (members.length === 0) return 'No team members have open work.';
+    return members.map(member =>
+      `- **${member.login}**: ${member.activeIssues} open (${member.overdueIssues} overdue), ` +
+      `${this.formatUtilization(member)} — ${member.workloadLevel}`
+    ).join('\n');
+  }
+
+  // Time off between start and end for everyone with open work, plus team-wide days
+  formatPromptTimeOff(members, unavailability, start, end) {
+    const lines = this.groupBlockedDays(this.getBlockedDays(unavailability, null, start, end))
+      .map(range => `- ${this.formatBlockedRange(range)}`);
+    members.forEach(member => {
+      this.groupBlockedDays(this.getBlockedDays(unavailability, member.login, start, end))
+        .filter(range => !range.teamWide)
+        .forEach(range => lines.push(`- **${member.login}**: ${this.formatBlockedRange(range)}`));
+    });
+    return lines.length > 0 ? lines.join('\n') : 'Nobody is out of office.';
+  }
+
+  promptResult(description, instructions, sections) {
+    const context = sections.map(([heading, body]) => `## ${heading}\n\n${body}`).join('\n\n');
+    return {
+      description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text: `${instructions}\n\n# ${this.config.displayName}\n\n${context}` },
+        },
+      ],
+    };
+  }
+
+  buildStandupPrompt(events, unavailability, args) {
+    const day = startOfDay(this.parsePromptDate(args.date, 'date', this.now()));
+    const dayEnd = endOfDay(day);
+    const since = subBusinessDays(day, 1);
+
+    const done = events.filter(event => event.status === 'closed' && event.closedAt >= since && event.closedAt <= dayEnd);
+    const inProgress = events.filter(event =>
+      event.status !== 'closed' && event.startDate <= dayEnd && (!event.endDate || event.endDate >= day || this.isOverdue(event, day))
+    );
+    const members = this.analyzeTeamWorkload(events, unavailability);
+    const dayLabel = format(day, 'EEEE, MMM dd, yyyy');
+
+    return this.promptResult(
+      `Daily standup for ${dayLabel}`,
+      `Run the daily standup for ${dayLabel}. For each person, summarize what they finished, what they are working on today and anything that looks blocked or overdue. ` +
+      'Call out people who are out of office and work that needs to be picked up or rescheduled. Keep it short enough to read aloud.',
+      [
+        [`Finished since ${format(since, 'EEEE, MMM dd')}`, this.formatPromptEventsByPerson(done, 'Nothing was closed.')],
+        ['In progress', this.formatPromptEventsByPerson(inProgress, 'No scheduled work is in progress.')],
+        ['Out of office today', this.formatPromptTimeOff(members, unavailability, day, day)],
+        ['Workload', this.formatPromptWorkload(members)],
+      ]
+    );
+  }
+
+  buildSprintPlanningPrompt(events, unavailability, args) {
+    let sprint;
+    const iterations = [...new Map(events.filter(event => event.iteration)
+      .map(event => [event.iteration.title, event.iteration])).values()];
+    if (args.iteration) {
+      const iteration = iterations.find(candidate => candidate.title.toLowerCase() === args.iteration.toLowerCase());
+      if (!iteration) {
+        throw new Error(`Unknown iteration "${args.iteration}" (found: ${iterations.map(candidate => candidate.title).join(', ') || 'none'})`);
+      }
+      sprint = { label: iteration.title, start: startOfDay(iteration.startDate), end: endOfDay(iteration.endDate) };
+    } else if (args.start === undefined && args.weeks === undefined && iterations.length > 0) {
+      const today = startOfDay(this.now());
+      const next = iterations.filter(iteration => iteration.startDate >= today).sort((a, b) => a.startDate - b.startDate)[0];
+      if (next) {
+        sprint = { label: next.title, start: startOfDay(next.startDate), end: endOfDay(next.endDate) };
+      }
+    }
+    if (!sprint) {
+      const start = startOfDay(this.parsePromptDate(args.start, 'start', this.now()));
+      const weeks = this.parsePromptCount(args.weeks, 'weeks', 2);
+      sprint = { label: `${weeks}-week sprint`, start, end: endOfDay(addDays(start, weeks * 7 - 1)) };
+    }
+
+    const sprintLabel = `${sprint.label} (${format(sprint.start, 'MMM dd')} – ${format(sprint.end, 'MMM dd, yyyy')})`;
+    const openEvents = events.filter(event => event.status !== 'closed');
+    const scheduled = openEvents.filter(event => {
+      const eventEnd = event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+      return event.assignees.length > 0 && event.startDate <= sprint.end && eventEnd >= sprint.start;
     });
+    const unassigned = openEvents.filter(event => event.assignees.length === 0);
+    const undated = openEvents.filter(event => !event.endDate && event.assignees.length > 0);
+    const members = this.analyzeTeamWorkload(events, unavailability);
+    const velocity = this.buildVelocityReport(events, { period: 'week', periods: 6 });
+    const conflicts = this.detectConflicts(events, unavailability, { start: sprint.start, end: sprint.end });
+
+    return this.promptResult(
+      `Sprint planning for ${sprintLabel}`,
+      `Help plan ${sprintLabel}. Propose what the team can commit to given its velocity, each person's capacity and time off. ` +
+      'Suggest owners for unassigned items, dates for undated ones, and changes that resolve the scheduling conflicts. Flag anything that will not fit.',
+      [
+        ['Velocity', `The team completed ${velocity.velocity} pts per week on average over the last ${velocity.rollingWindow} weeks; ` +
+          `${velocity.remaining.items} open items (${velocity.remaining.points} pts) remain.`],
+        [`Workload (next ${this.config.availabilityWindowDays} days)`, this.formatPromptWorkload(members)],
+        ['Time off during the sprint', this.formatPromptTimeOff(members, unavailability, sprint.start, sprint.end)],
+        ['Already scheduled in the sprint', this.formatPromptEventsByPerson(scheduled, 'Nothing is scheduled yet.')],
+        ['Needs an owner', unassigned.length > 0 ? unassigned.map(event => this.formatPromptEvent(event)).join('\n') : 'Every open item is assigned.'],
+        ['Needs dates', undated.length > 0 ? undated.map(event => this.formatPromptEvent(event)).join('\n') : 'Every assigned item has an end date.'],
+        ['Scheduling conflicts', conflicts.length > 0 ? conflicts.map(conflict => `- ${conflict.message}`).join('\n') : 'No conflicts detected.'],
+      ]
+    );
+  }
+
+  buildRetroPrompt(events, args) {
+    const weekStart = startOfWeek(this.parsePromptDate(args.weekOf, 'weekOf', this.now()));
+    const weekEnd = endOfWeek(weekStart);
+    const weekLabel = `the week of ${format(weekStart, 'MMM dd, yyyy')}`;
+
+    const completed = events.filter(event => event.status === 'closed' && event.closedAt >= weekStart && event.closedAt <= weekEnd);
+    const slipped = events.filter(event =>
+      event.endDate && event.endDate >= weekStart && event.endDate <= weekEnd &&
+      (event.status !== 'closed' || (event.closedAt && event.closedAt > endOfDay(event.endDate)))
+    );
+    const created = events.filter(event => event.createdAt >= weekStart && event.createdAt <= weekEnd);
+
+    const velocity = this.buildVelocityReport(events, { period: 'week', periods: 6, now: weekEnd < this.now() ? weekEnd : this.now() });
+    const week = velocity.buckets[velocity.buckets.length - 1];
+    const byPerson = Object.entries(week.byPerson)
+      .sort(([, a], [, b]) => b.points - a.points)
+      .map(([login, person]) => `- **${login}**: ${person.items} items, ${person.points} pts`);
+
+    return this.promptResult(
+      `Weekly retro for ${weekLabel}`,
+      `Run a retrospective for ${weekLabel}. Summarize what went well, what slipped and why it might have, and how the pace compares with recent weeks. ` +
+      'End with two or three concrete actions for next week.',
+      [
+        ['Velocity', `${week.items} items (${week.points} pts) completed against a rolling average of ${week.rollingAverage} pts per week.` +
+          (byPerson.length > 0 ? `\n\n${byPerson.join('\n')}` : '')],
+        ['Completed', this.formatPromptEventsByPerson(completed, 'Nothing was closed this week.')],
+        ['Slipped (due this week, not closed on time)', slipped.length > 0 ? slipped.map(event => this.formatPromptEvent(event)).join('\n') : 'Nothing slipped.'],
+        ['New this week', created.length > 0 ? created.map(event => this.formatPromptEvent(event)).join('\n') : 'No new items.'],
+      ]
+    );
+  }
+
+  buildOneOnOnePrompt(events, unavailability, args) {
+    const { login } = args;
+    if (!login) {
+      throw new Error('Missing required argument "login"');
+    }
+    const days = this.parsePromptCount(args.days, 'days', 14);
+    const today = startOfDay(this.now());
+    const lookbackStart = subDays(today, days);
+    const lookaheadEnd = endOfDay(addDays(today, days));
+
+    const personEvents = events.filter(event => event.assignees.some(assignee => assignee.login.toLowerCase() === login.toLowerCase()));
+    const completed = personEvents.filter(event => event.status === 'closed' && event.closedAt >= lookbackStart);
+    const overdue = personEvents.filter(event => this.isOverdue(event));
+    const upcoming = personEvents
+      .filter(event => event.status !== 'closed' && !this.isOverdue(event) && event.startDate <= lookaheadEnd)
+      .sort((a, b) => a.startDate - b.startDate);
+    const member = this.analyzeTeamWorkload(events, unavailability).find(candidate => candidate.login.toLowerCase() === login.toLowerCase());
+    const timeOff = this.groupBlockedDays(this.getBlockedDays(unavailability, login, today, lookaheadEnd));
+    const conflicts = this.detectConflicts(events, unavailability, { start: today, end: lookaheadEnd })
+      .filter(conflict => conflict.login?.toLowerCase() === login.toLowerCase());
+    const list = (items, empty) => items.length > 0 ? items.map(event => this.formatPromptEvent(event, { assignees: false })).join('\n') : empty;
+
+    return this.promptResult(
+      `One-on-one with ${login}`,
+      `Prepare talking points for a one-on-one with @${login}. Recognize recent work, ask about overdue items and blockers, ` +
+      'check whether their load is sustainable given time off, and suggest what could be handed off or rescheduled.',
+      [
+        ['Workload', member ? this.formatPromptWorkload([member]) : `${login} has no open work.`],
+        [`Completed in the last ${days} days`, list(completed, 'Nothing closed.')],
+        ['Overdue', list(overdue, 'Nothing overdue.')],
+        [`Scheduled in the next ${days} days`, list(upcoming, 'Nothing scheduled.')],
+        ['Time off', timeOff.length > 0 ? timeOff.map(range => `- ${this.formatBlockedRange(range)}`).join('\n') : 'No time off planned.'],
+        ['Scheduling conflicts', conflicts.length > 0 ? conflicts.map(conflict => `- ${conflict.message}`).join('\n') : 'No conflicts detected.'],
+      ]
+    );
   }
 
   async run() {
+    if (this.config.transport === 'http') {
+      await this.runHttp();
+      return;
+    }
+    if (this.config.transport !== 'stdio') {
+      throw new Error(`Invalid transport "${this.config.transport}" (expected "stdio" or "http")`);
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('GitHub Calendar MCP server running on stdio');
   }
+
+  // Serve MCP over Streamable HTTP at /mcp. Clients that only speak the older
+  // HTTP+SSE transport can still open GET /sse and post to /messages.
+  async runHttp() {
+    const { httpHost, httpPort, authToken } = this.config;
+    if (!authToken) {
+      console.error('Warning: MCP_AUTH_TOKEN is not set; anyone who can reach this port can use the server\'s GitHub token');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch((error) => {
+        console.error('Error handling HTTP request:', error);
+        if (!res.headersSent) {
+          res.writeHead(500).end('Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(httpPort, httpHost, resolve);
+    });
+    console.error(`GitHub Calendar MCP server listening on http://${httpHost}:${httpPort}/mcp`);
+  }
+
+  async handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'ok' }));
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+      return;
+    }
+
+    if (url.pathname === '/mcp') {
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!(session?.transport instanceof StreamableHTTPServerTransport)) {
+          res.writeHead(404).end('Unknown session');
+          return;
+        }
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+
+      // A request without a session must be an initialize request; the
+      // transport rejects anything else, and then the server is dropped
+      const server = this.createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => this.openSession(id, server, transport),
+      });
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+      if (!transport.sessionId) {
+        await server.close();
+      }
+      return;
+    }
+
+    // Legacy HTTP+SSE transport
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const transport = new SSEServerTransport('/messages', res);
+      const server = this.createServer();
+      this.openSession(transport.sessionId, server, transport);
+      await server.connect(transport);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const session = this.sessions.get(url.searchParams.get('sessionId'));
+      if (!(session?.transport instanceof SSEServerTransport)) {
+        res.writeHead(404).end('Unknown session');
+        return;
+      }
+      await session.transport.handlePostMessage(req, res);
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  }
+
+  // Track an HTTP session until its server closes
+  openSession(sessionId, server, transport) {
+    this.sessions.set(sessionId, { server, transport });
+    server.onclose = () => {
+      this.sessions.delete(sessionId);
+      this.unsubscribeResource(server);
+      console.error(`HTTP session ${sessionId} closed (${this.sessions.size} active)`);
+    };
+    console.error(`HTTP session ${sessionId} opened (${this.sessions.size} active)`);
+  }
+
+  // Bearer token check for HTTP requests; open when no token is configured
+  isAuthorized(req) {
+    const { authToken } = this.config;
+    if (!authToken) return true;
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(authToken);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  async close() {
+    clearInterval(this.resourceRefreshTimer);
+    await Promise.all([...this.sessions.values()].map(({ server }) => server.close()));
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+    await this.server.close();
+  }
 }
 
 // Handle graceful shutdown
@@ -3,8 +3,8 @@
 # GitHub Calendar MCP Server Wrapper
 # This ensures the environment variable is properly set
 
-# Check if GITHUB_TOKEN is provided
-if [ -z "$GITHUB_TOKEN" ]; then
+# Check if GITHUB_TOKEN is provided (not needed when replaying GITHUB_FIXTURES)
+if [ -z "$GITHUB_TOKEN" ] && [ -z "$GITHUB_FIXTURES" ]; then
     echo "Error: GITHUB_TOKEN environment variable is required" >&2
     echo "Please set GITHUB_TOKEN in your Goose MCP configuration" >&2
     exit 1
@@ -14,4 +14,4 @@ fi
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 
 # Start the MCP server
-exec node "$SCRIPT_DIR/dist/index.js"
+exec node "$SCRIPT_DIR/index.js"
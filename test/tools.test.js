@@ -0,0 +1,267 @@
+// Runs every tool against the made-up "Acme Web" board in test/fixtures over
+// stdio, the way an MCP client would. GitHub responses are replayed from
+// test/fixtures/github, and "now" is the recording time, Wed 2025-10-15 09:00 UTC.
+// The client also checks each structured result against the tool's outputSchema.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+let client;
+
+// Start a server in the given time zone and connect a client to it
+async function connect(timeZone) {
+  // Only the fixture settings, so a local config or GitHub env vars cannot leak in
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: ['index.js'],
+    cwd: root,
+    stderr: 'ignore',
+    env: {
+      ...getDefaultEnvironment(),
+      TZ: timeZone,
+      GITHUB_TOKEN: 'test-token',
+      GITHUB_CALENDAR_CONFIG: 'test/fixtures/github-calendar.config.yaml',
+      GITHUB_FIXTURES: 'test/fixtures/github',
+    },
+  });
+  const connected = new Client({ name: 'tools-test', version: '1.0.0' });
+  await connected.connect(transport);
+  return connected;
+}
+
+before(async () => {
+  client = await connect('UTC');
+});
+
+after(() => client.close());
+
+async function callTool(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(!result.isError, result.content[0]?.text);
+  return result;
+}
+
+async function callToolError(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(result.isError, `${name} was expected to fail`);
+  return result.content[0].text;
+}
+
+test('every tool publishes an output schema', async () => {
+  const { tools } = await client.listTools();
+  assert.equal(tools.length, 14);
+  tools.forEach(tool => assert.ok(tool.outputSchema, `${tool.name} has no outputSchema`));
+});
+
+test('get_calendar_events covers the whole requested month', async () => {
+  const { structuredContent } = await callTool('get_calendar_events', { month: '2025-10' });
+  assert.deepEqual(structuredContent.range, { start: '2025-10-01', end: '2025-10-31' });
+  assert.deepEqual(
+    structuredContent.events.map(event => event.url.replace('https://github.com/', '')),
+    ['acme/web/issues/101', 'acme/web/issues/102', 'acme/web/pull/103', 'acme/api/issues/45',
+      'acme/api/issues/46', 'acme/api/issues/47', 'acme/api/issues/101', 'orgs/acme/projects/7']
+  );
+  assert.equal(structuredContent.conflictCount, 2);
+
+  const september = await callTool('get_calendar_events', { month: '2025-09' });
+  assert.deepEqual(september.structuredContent.events.map(event => event.id), ['90']);
+
+  assert.match(await callToolError('get_calendar_events', { month: '2025-13' }), /month/i);
+});
+
+test('month resources before the lookback window widen it', async () => {
+  const { contents } = await client.readResource({ uri: 'calendar://month/2025-06' });
+  assert.match(contents[0].text, /Q2 launch retro/);
+  const june = await callTool('get_calendar_events', { month: '2025-06' });
+  assert.deepEqual(june.structuredContent.events.map(event => event.id), ['80']);
+});
+
+test('format only changes the content blocks', async () => {
+  const markdown = await callTool('get_calendar_events', { month: '2025-10' });
+  const json = await callTool('get_calendar_events', { month: '2025-10', format: 'json' });
+  assert.deepEqual(markdown.content.map(block => block.type), ['text', 'resource']);
+  assert.deepEqual(json.content.map(block => block.type), ['text']);
+  assert.deepEqual(JSON.parse(json.content[0].text), json.structuredContent);
+  assert.deepEqual(markdown.structuredContent, json.structuredContent);
+});
+
+test('export_ical names the calendar after its sources and keys UIDs by repository', async () => {
+  const { content, structuredContent } = await callTool('export_ical');
+  const { ical } = structuredContent;
+  assert.equal(structuredContent.eventCount, 9);
+  assert.equal(content[1].resource.mimeType, 'text/calendar');
+  assert.equal(content[1].resource.text, ical);
+  assert.match(ical, /^X-WR-CALNAME:Acme Web \(acme project #7\)\r$/m);
+  // acme/web#101 and acme/api#101 share a number but not a UID
+  assert.match(ical, /^UID:acme-web-issue-101@github-calendar-mcp-server\r$/m);
+  assert.match(ical, /^UID:acme-api-issue-101@github-calendar-mcp-server\r$/m);
+  assert.match(ical, /^UID:draft-issue-PVTI_draft_offsite@github-calendar-mcp-server\r$/m);
+  // All-day events end the day after their last day
+  assert.match(ical, /DTSTART;VALUE=DATE:20251013\r\nDTEND;VALUE=DATE:20251018\r\nSUMMARY:#101 Redesign landing page/);
+  assert.match(ical, /SUMMARY:Plan Q4 offsite\r/);
+
+  assert.match(await callToolError('export_ical', { start: 'garbage' }), /valid start and end/);
+  assert.match(await callToolError('export_ical', { start: '2025-10-20', end: '2025-10-10' }), /valid start and end/);
+});
+
+// Project dates are calendar days, so they must not move with the server's
+// time zone. The digest is left out: its default `since` is local midnight.
+for (const timeZone of ['America/Los_Angeles', 'Asia/Tokyo']) {
+  test(`project dates stay on their calendar day in ${timeZone}`, async () => {
+    const local = await connect(timeZone);
+    try {
+      const month = await local.callTool({ name: 'get_calendar_events', arguments: { month: '2025-10' } });
+      const landingPage = month.structuredContent.events.find(event => event.url === 'https://github.com/acme/web/issues/101');
+      assert.equal(landingPage.startDate, '2025-10-13');
+      assert.equal(landingPage.endDate, '2025-10-17');
+
+      const velocity = await local.callTool({ name: 'get_velocity_report', arguments: { period: 'iteration' } });
+      assert.deepEqual(
+        velocity.structuredContent.buckets.map(({ label, start, end }) => [label, start, end]),
+        [['Sprint 3', '2025-09-15', '2025-09-28'], ['Sprint 4', '2025-09-29', '2025-10-12'], ['Sprint 5', '2025-10-13', '2025-10-26']]
+      );
+
+      const conflicts = await local.callTool({ name: 'detect_conflicts', arguments: { start: '2025-10-15', concurrencyLimit: 2 } });
+      assert.deepEqual(
+        conflicts.structuredContent.conflicts.map(({ type, login, start, end }) => [type, login, start, end]),
+        [['overload', 'alice', '2025-10-15', '2025-10-16'], ['unavailable', 'bob', '2025-10-20', '2025-10-20'], ['unavailable', 'carol', '2025-10-27', '2025-10-29']]
+      );
+
+      const { ical } = (await local.callTool({ name: 'export_ical', arguments: {} })).structuredContent;
+      assert.match(ical, /DTSTART;VALUE=DATE:20251013\r\nDTEND;VALUE=DATE:20251018\r\nSUMMARY:#101 Redesign landing page/);
+      assert.match(ical, /DTSTART;VALUE=DATE:20251027\r\nDTEND;VALUE=DATE:20251101\r\nSUMMARY:Plan Q4 offsite/);
+    } finally {
+      await local.close();
+    }
+  });
+}
+
+test('availability .ics files mark people and the team as out', async () => {
+  const { structuredContent } = await callTool('get_person_schedule', { login: 'carol', days: 30 });
+  assert.deepEqual(structuredContent.unavailable, [
+    { start: '2025-10-20', end: '2025-10-20', summary: 'Company holiday', teamWide: true },
+    { start: '2025-10-27', end: '2025-10-29', summary: 'Out of office @carol', teamWide: false },
+  ]);
+});
+
+test('numeric arguments accept numeric strings and reject anything else', async () => {
+  const { structuredContent } = await callTool('get_person_schedule', { login: 'carol', days: '30' });
+  assert.equal(structuredContent.days, 30);
+  for (const [name, args] of [
+    ['get_person_schedule', { login: 'carol', days: 'abc' }],
+    ['detect_conflicts', { concurrencyLimit: 0 }],
+    ['get_velocity_report', { periods: 2.5 }],
+  ]) {
+    await assert.rejects(client.callTool({ name, arguments: args }), { code: ErrorCode.InvalidParams });
+  }
+});
+
+test('detect_conflicts reports time off and overload', async () => {
+  const { structuredContent } = await callTool('detect_conflicts', { concurrencyLimit: 2 });
+  assert.deepEqual(
+    structuredContent.conflicts.map(({ type, login, start, end, items }) => [type, login, start, end, items.map(item => item.id)]),
+    [
+      ['overload', 'alice', '2025-10-15', '2025-10-16', ['101', '102', '103']],
+      ['unavailable', 'bob', '2025-10-20', '2025-10-20', ['46']],
+      ['unavailable', 'carol', '2025-10-27', '2025-10-29', ['PVTI_draft_offsite']],
+    ]
+  );
+});
+
+test('get_velocity_report buckets completed points by week and by iteration', async () => {
+  const weekly = await callTool('get_velocity_report');
+  assert.equal(weekly.structuredContent.period, 'week');
+  const weeklyPoints = weekly.structuredContent.buckets.filter(bucket => bucket.points > 0)
+    .map(bucket => [bucket.start, bucket.points]);
+  assert.deepEqual(weeklyPoints, [['2025-09-21', 3], ['2025-10-05', 5], ['2025-10-12', 2]]);
+
+  const { structuredContent } = await callTool('get_velocity_report', { period: 'iteration' });
+  assert.deepEqual(
+    structuredContent.buckets.map(({ label, start, end, complete, points }) => [label, start, end, complete, points]),
+    [
+      ['Sprint 3', '2025-09-15', '2025-09-28', true, 3],
+      ['Sprint 4', '2025-09-29', '2025-10-12', true, 5],
+      ['Sprint 5', '2025-10-13', '2025-10-26', false, 2],
+    ]
+  );
+  assert.deepEqual(structuredContent.remaining, { items: 6, points: 12 });
+});
+
+test('reschedule_event dry-runs look the item up on the board', async () => {
+  const issue = await callTool('reschedule_event', { issueNumber: 101, repository: 'acme/web', end: '2025-10-21', dryRun: true });
+  assert.equal(issue.structuredContent.item.itemId, 'PVTI_web_101');
+  assert.deepEqual(issue.structuredContent.changes, [
+    { role: 'end', fieldName: 'End date', before: '2025-10-17', after: '2025-10-21' },
+  ]);
+
+  const draft = await callTool('reschedule_event', { itemId: 'PVTI_draft_offsite', start: '2025-11-03', end: '2025-11-07', dryRun: true });
+  assert.equal(draft.structuredContent.item.number, null);
+  assert.deepEqual(draft.structuredContent.changes.map(change => [change.before, change.after]), [
+    ['2025-10-27', '2025-11-03'],
+    ['2025-10-31', '2025-11-07'],
+  ]);
+
+  // Created before the lookback window, but still on the board
+  const old = await callTool('reschedule_event', { issueNumber: 80, end: '2025-06-13', dryRun: true });
+  assert.equal(old.structuredContent.item.itemId, 'PVTI_web_80');
+
+  assert.match(
+    await callToolError('reschedule_event', { issueNumber: 101, end: '2025-10-21', dryRun: true }),
+    /#101 exists in acme\/web, acme\/api; pass repository/
+  );
+});
+
+test('assign_issue dry-runs show the assignees before and after', async () => {
+  const { structuredContent } = await callTool('assign_issue', { issueNumber: 46, repository: 'acme/api', assignees: ['carol'], dryRun: true });
+  assert.equal(structuredContent.dryRun, true);
+  assert.deepEqual(structuredContent.before, ['bob']);
+  assert.deepEqual(structuredContent.after, ['bob', 'carol']);
+});
+
+test('find_best_assignee needs a repository for ambiguous numbers', async () => {
+  assert.match(await callToolError('find_best_assignee', { issueNumber: 101 }), /pass repository/);
+  const { structuredContent } = await callTool('find_best_assignee', { issueNumber: 46, repository: 'acme/api' });
+  assert.ok(structuredContent.candidates.length > 0);
+});
+
+test('get_daily_digest reports changes since the previous working day', async () => {
+  const { structuredContent } = await callTool('get_daily_digest');
+  assert.equal(structuredContent.since, '2025-10-14T00:00:00.000Z');
+  assert.deepEqual(structuredContent.counts, { added: 1, closed: 1, reopened: 1, rescheduled: 0, reassigned: 1, moved: 0 });
+  const changes = Object.fromEntries(structuredContent.people.map(person =>
+    [person.login, person.changes.map(change => `${change.kind} ${change.item.id}${change.from ? ` ${change.from} → ${change.to}` : ''}`)]
+  ));
+  assert.deepEqual(changes, {
+    alice: ['added 102'],
+    bob: ['closed 47', 'reopened 47', 'reassigned 46 carol → bob'],
+    carol: ['reassigned 46 carol → bob'],
+  });
+  // History only starts with this server, so field changes before it are unknown
+  assert.equal(structuredContent.warnings.length, 1);
+});
+
+test('the remaining tools answer from the fixtures', async () => {
+  const team = await callTool('get_team_status');
+  assert.deepEqual(team.structuredContent.members.map(member => member.login).sort(), ['alice', 'bob', 'carol']);
+
+  const workload = await callTool('analyze_workload');
+  assert.ok(workload.structuredContent.members.length > 0);
+
+  const timeline = await callTool('get_timeline');
+  assert.deepEqual(timeline.structuredContent.groups.map(group => group.name).sort(), ['Unassigned', 'alice', 'bob', 'carol']);
+  await assert.rejects(client.callTool({ name: 'get_timeline', arguments: { groupBy: 'label' } }), { code: ErrorCode.InvalidParams });
+
+  const fields = await callTool('list_project_fields');
+  assert.deepEqual(
+    fields.structuredContent.fields.filter(field => field.role).map(field => [field.name, field.role]),
+    [['Start date', 'start'], ['End date', 'end'], ['Status', 'status'], ['Estimate', 'estimate'], ['Iteration', 'iteration']]
+  );
+
+  const status = await callTool('get_api_status');
+  assert.equal(status.structuredContent.rateLimits.core.remaining, 4990);
+});